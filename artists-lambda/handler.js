@@ -1,54 +1,99 @@
 // BNDY Artists Lambda Function - DynamoDB Version
-// Handles: /api/artists, /api/artists/:id
+// Handles: /api/artists, /api/artists/:id, /api/artists/:id/slug, /api/artists/by-slug/:slug,
+//          /api/artists/:id/claim, /api/artists/:id/restore, /api/artist-claims
+// purgeDeletedArtists runs on a schedule (ArtistsPurgeFunction)
 
 const AWS = require('aws-sdk');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const {
+  requireAuth,
+  hasRole,
+  requireRole,
+  ARTIST_PERMISSIONS,
+  OWNER_ONLY,
+  requireArtistPermission,
+  ARTIST_RECORD_TYPE,
+  buildArtistIndexFields,
+  getArtistsByIds,
+  getUsersByIds,
+  ARTIST_SLUGS_TABLE,
+  validateSlug,
+  buildSlugCandidates,
+  buildSlugChangeItems,
+  ARTIST_ROLES_TABLE,
+  ARCHIVED_MEMBERSHIP_STATUS,
+  userGuardKey,
+  getGuardedMembership,
+  buildMembershipCreateItems,
+  buildMembershipDeleteItems,
+  MEMBERSHIP_EVENTS_TABLE,
+  buildMembershipEventItem,
+  writeAuditEntry,
+  notify
+} = require('bndy-shared');
 
 const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
 
 // Configuration
-const JWT_SECRET = process.env.JWT_SECRET;
-const MEMBERSHIPS_TABLE = 'bndy-artist-memberships';
 const FRONTEND_URL = 'https://backstage.bndy.co.uk';
 
-// Parse cookies from event
-const parseCookies = (cookieHeader) => {
-  if (!cookieHeader) return {};
-  return cookieHeader.split(';').reduce((cookies, cookie) => {
-    const [name, value] = cookie.trim().split('=');
-    cookies[name] = value;
-    return cookies;
-  }, {});
-};
+// GET /api/artists directory
+const ARTISTS_BY_NAME_INDEX = 'record_type-name_lower-index';
+const ARTIST_TYPES = ['band', 'solo', 'duo', 'group', 'dj', 'collective'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MAX_PAGES_PER_REQUEST = 10; // Bounds read cost when filters match few artists
 
-// Authentication middleware
-const requireAuth = (event) => {
-  let sessionToken = null;
+// Ownership claims for unowned (imported) artists
+const ARTIST_CLAIMS_TABLE = 'bndy-artist-claims';
+const CLAIMS_BY_STATUS_INDEX = 'status-created_at-index';
+const CLAIMS_BY_ARTIST_INDEX = 'artist_id-index';
+const CLAIM_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_CLAIM_MESSAGE_LENGTH = 1000;
+const MAX_REVIEW_NOTE_LENGTH = 500;
+// A pending claim holds a guard item keyed on (artist, user) so a user can't open two at once.
+// Guards have no artist_id/status, which keeps them out of the GSIs.
+const CLAIM_GUARD_TYPE = 'claim_guard';
 
-  if (event.cookies && Array.isArray(event.cookies)) {
-    const cookieString = event.cookies.find(c => c.startsWith('bndy_session='));
-    if (cookieString) {
-      sessionToken = cookieString.split('=')[1];
-    }
-  } else {
-    const cookies = parseCookies(event.headers?.Cookie || event.headers?.cookie || '');
-    sessionToken = cookies.bndy_session;
-  }
+// PATCH /api/artists/{id} fields - request field -> attribute and validation rules
+const IMAGES_BASE_URL = 'https://bndy-images.s3.eu-west-2.amazonaws.com/';
+const MAX_URL_LENGTH = 1024;
+const MAX_GENRES = 10;
+const MAX_GENRE_LENGTH = 50;
+const MAX_SOCIAL_LINKS = 20;
 
-  if (!sessionToken) {
-    return { error: 'Not authenticated' };
-  }
+// socialMediaUrls entries are { platform, url }; the url must be on one of the platform's hosts
+const SOCIAL_PLATFORMS = {
+  facebook: ['facebook.com', 'fb.com'],
+  instagram: ['instagram.com'],
+  x: ['x.com', 'twitter.com'],
+  tiktok: ['tiktok.com'],
+  youtube: ['youtube.com', 'youtu.be'],
+  spotify: ['spotify.com'],
+  apple_music: ['music.apple.com'],
+  soundcloud: ['soundcloud.com'],
+  bandcamp: ['bandcamp.com'],
+  website: null // any host
+};
 
-  try {
-    const session = jwt.verify(sessionToken, JWT_SECRET);
-    return { user: session };
-  } catch (error) {
-    console.error('🔐 Invalid session token:', error.message);
-    return { error: 'Invalid session' };
-  }
+const ARTIST_FIELDS = {
+  name: { column: 'name', maxLength: 100, nullable: false },
+  bio: { column: 'bio', maxLength: 2000 },
+  location: { column: 'location', maxLength: 100 },
+  genres: { column: 'genres', type: 'genres' },
+  artistType: { column: 'artist_type', values: ARTIST_TYPES, nullable: false },
+  facebookUrl: { column: 'facebookUrl', type: 'url', platform: 'facebook' },
+  instagramUrl: { column: 'instagramUrl', type: 'url', platform: 'instagram' },
+  websiteUrl: { column: 'websiteUrl', type: 'url' },
+  socialMediaUrls: { column: 'socialMediaUrls', type: 'socialLinks' },
+  profileImageUrl: { column: 'profileImageUrl', type: 'image' },
+  isVerified: { column: 'isVerified', type: 'boolean', nullable: false } // admins only
 };
 
+// DELETE /api/artists/{id} is a soft delete, restorable during the grace period
+const ARTIST_DELETION_GRACE_PERIOD_DAYS = 30;
+const SLUGS_BY_ARTIST_INDEX = 'artist_id-index';
+
 exports.handler = async (event, context) => {
   // HTTP API v2 payload format compatibility
   const method = event.requestContext?.http?.method || event.httpMethod;
@@ -65,7 +110,19 @@ exports.handler = async (event, context) => {
   try {
     // Route requests
     if (method === 'GET' && path === '/api/artists') {
-      return await handleGetAllArtists();
+      return await handleGetAllArtists(event);
+    }
+
+    if (method === 'GET' && path === '/api/artist-claims') {
+      return await handleListArtistClaims(event);
+    }
+
+    if (method === 'PUT' && event.pathParameters?.claimId) {
+      return await handleReviewArtistClaim(event, event.pathParameters.claimId);
+    }
+
+    if (method === 'GET' && event.pathParameters?.slug) {
+      return await handleGetArtistBySlug(event.pathParameters.slug);
     }
 
     if (method === 'GET' && event.pathParameters?.id) {
@@ -76,12 +133,25 @@ exports.handler = async (event, context) => {
       return await handleCreateArtist(event);
     }
 
-    if (event.httpMethod === 'PUT' && event.pathParameters?.id) {
-      return await handleUpdateArtist(event.pathParameters.id, JSON.parse(event.body));
+    if (method === 'POST' && event.pathParameters?.id && path.endsWith('/claim')) {
+      return await handleCreateArtistClaim(event, event.pathParameters.id);
+    }
+
+    if (method === 'POST' && event.pathParameters?.id && path.endsWith('/restore')) {
+      return await handleRestoreArtist(event, event.pathParameters.id);
+    }
+
+    if (method === 'PUT' && event.pathParameters?.id && path.endsWith('/slug')) {
+      return await handleUpdateArtistSlug(event, event.pathParameters.id);
+    }
+
+    // PUT is kept for older clients and behaves exactly like PATCH
+    if ((method === 'PATCH' || method === 'PUT') && event.pathParameters?.id) {
+      return await handlePatchArtist(event, event.pathParameters.id);
     }
 
-    if (event.httpMethod === 'DELETE' && event.pathParameters?.id) {
-      return await handleDeleteArtist(event.pathParameters.id);
+    if (method === 'DELETE' && event.pathParameters?.id) {
+      return await handleDeleteArtist(event, event.pathParameters.id);
     }
 
     return {
@@ -100,50 +170,141 @@ exports.handler = async (event, context) => {
   }
 };
 
-async function handleGetAllArtists() {
-  console.log('🎵 Artists Lambda: Scanning all artists from DynamoDB...');
+// Artist directory in name order (stable across pages).
+// Query params: limit, cursor, order=asc|desc, q (name prefix), genre, artistType, verified, location
+async function handleGetAllArtists(event) {
+  const params = event.queryStringParameters || {};
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const nameQuery = (params.q || '').trim().toLowerCase();
 
-  const params = {
-    TableName: 'bndy-artists',
-    ProjectionExpression: 'id, #name, bio, #location, genres, facebookUrl, instagramUrl, websiteUrl, socialMediaUrls, profileImageUrl, isVerified, followerCount, claimedByUserId, createdAt',
-    ExpressionAttributeNames: {
-      '#name': 'name',
-      '#location': 'location'
+  if (params.order && !['asc', 'desc'].includes(params.order)) {
+    return badRequestResponse('order must be asc or desc');
+  }
+
+  if (params.artistType && !ARTIST_TYPES.includes(params.artistType)) {
+    return badRequestResponse(`artistType must be one of: ${ARTIST_TYPES.join(', ')}`);
+  }
+
+  if (params.verified && !['true', 'false'].includes(params.verified)) {
+    return badRequestResponse('verified must be true or false');
+  }
+
+  let exclusiveStartKey;
+  if (params.cursor) {
+    try {
+      exclusiveStartKey = decodeCursor(params.cursor);
+    } catch (error) {
+      return badRequestResponse('Invalid cursor');
     }
-  };
+  }
 
-  try {
-    const result = await dynamodb.scan(params).promise();
+  // Name search is a prefix match on the index sort key; everything else filters
+  const expressionAttributeValues = { ':recordType': ARTIST_RECORD_TYPE };
+  const filters = [];
 
-    // Transform to match expected API format
-    const formattedArtists = result.Items.map(artist => ({
-      id: artist.id,
-      name: artist.name,
-      bio: artist.bio || '',
-      location: artist.location || '',
-      genres: artist.genres || [],
-      facebookUrl: artist.facebookUrl || '',
-      instagramUrl: artist.instagramUrl || '',
-      websiteUrl: artist.websiteUrl || '',
-      socialMediaUrls: artist.socialMediaUrls || [],
-      profileImageUrl: artist.profileImageUrl || '',
-      isVerified: artist.isVerified || false,
-      followerCount: artist.followerCount || 0,
-      claimedByUserId: artist.claimedByUserId || null,
-      createdAt: artist.createdAt
-    }));
-
-    console.log(`🎵 Artists Lambda: Served ${formattedArtists.length} artists`);
+  if (nameQuery) {
+    expressionAttributeValues[':q'] = nameQuery;
+  }
 
-    return {
-      statusCode: 200,
-      headers: getCorsHeaders(),
-      body: JSON.stringify(formattedArtists)
-    };
+  if (params.genre) {
+    filters.push('contains(genres_lower, :genre)');
+    expressionAttributeValues[':genre'] = params.genre.trim().toLowerCase();
+  }
+
+  if (params.artistType === 'band') {
+    // Legacy artists without artist_type are bands
+    filters.push('(attribute_not_exists(artist_type) OR artist_type = :artistType)');
+    expressionAttributeValues[':artistType'] = params.artistType;
+  } else if (params.artistType) {
+    filters.push('artist_type = :artistType');
+    expressionAttributeValues[':artistType'] = params.artistType;
+  }
+
+  if (params.verified === 'true') {
+    filters.push('isVerified = :true');
+    expressionAttributeValues[':true'] = true;
+  } else if (params.verified === 'false') {
+    filters.push('(attribute_not_exists(isVerified) OR isVerified = :false)');
+    expressionAttributeValues[':false'] = false;
+  }
+
+  if (params.location && params.location.trim()) {
+    filters.push('contains(location_lower, :location)');
+    expressionAttributeValues[':location'] = params.location.trim().toLowerCase();
+  }
+
+  console.log('🎵 Artists Lambda: Listing artists', {
+    limit,
+    hasCursor: !!exclusiveStartKey,
+    hasQuery: !!nameQuery,
+    filters: filters.length
+  });
+
+  // Limit applies before the filter, so keep querying until the page is full.
+  // Asking for only the remaining count keeps LastEvaluatedKey an exact resume point.
+  const items = [];
+  let pages = 0;
+
+  try {
+    do {
+      const result = await dynamodb.query({
+        TableName: 'bndy-artists',
+        IndexName: ARTISTS_BY_NAME_INDEX,
+        KeyConditionExpression: nameQuery
+          ? 'record_type = :recordType AND begins_with(name_lower, :q)'
+          : 'record_type = :recordType',
+        ...(filters.length > 0 && { FilterExpression: filters.join(' AND ') }),
+        ProjectionExpression: 'id, slug, #name, bio, #location, genres, artist_type, facebookUrl, instagramUrl, websiteUrl, socialMediaUrls, profileImageUrl, isVerified, followerCount, claimedByUserId, createdAt, created_at',
+        ExpressionAttributeNames: {
+          '#name': 'name',
+          '#location': 'location'
+        },
+        ExpressionAttributeValues: expressionAttributeValues,
+        ScanIndexForward: params.order !== 'desc',
+        Limit: limit - items.length,
+        ExclusiveStartKey: exclusiveStartKey
+      }).promise();
+
+      items.push(...result.Items);
+      exclusiveStartKey = result.LastEvaluatedKey;
+      pages++;
+    } while (exclusiveStartKey && items.length < limit && pages < MAX_PAGES_PER_REQUEST);
   } catch (error) {
-    console.error('❌ DynamoDB scan failed:', error);
+    console.error('❌ DynamoDB query failed:', error);
     throw error;
   }
+
+  // Transform to match expected API format
+  const formattedArtists = items.map(artist => ({
+    id: artist.id,
+    slug: artist.slug || null,
+    name: artist.name,
+    bio: artist.bio || '',
+    location: artist.location || '',
+    genres: artist.genres || [],
+    artistType: artist.artist_type || 'band',
+    facebookUrl: artist.facebookUrl || '',
+    instagramUrl: artist.instagramUrl || '',
+    websiteUrl: artist.websiteUrl || '',
+    socialMediaUrls: artist.socialMediaUrls || [],
+    profileImageUrl: artist.profileImageUrl || '',
+    isVerified: artist.isVerified || false,
+    followerCount: artist.followerCount || 0,
+    claimedByUserId: artist.claimedByUserId || null,
+    createdAt: artist.createdAt || artist.created_at
+  }));
+
+  console.log(`🎵 Artists Lambda: Served ${formattedArtists.length} artists`, { pages, hasMore: !!exclusiveStartKey });
+
+  return {
+    statusCode: 200,
+    headers: getCorsHeaders(),
+    body: JSON.stringify({
+      artists: formattedArtists,
+      count: formattedArtists.length,
+      nextCursor: encodeCursor(exclusiveStartKey)
+    })
+  };
 }
 
 async function handleGetArtistById(artistId) {
@@ -157,7 +318,40 @@ async function handleGetArtistById(artistId) {
   try {
     const result = await dynamodb.get(params).promise();
 
-    if (!result.Item) {
+    if (!result.Item || result.Item.deleted_at) {
+      return {
+        statusCode: 404,
+        headers: getCorsHeaders(),
+        body: JSON.stringify({ error: 'Artist not found' })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: getCorsHeaders(),
+      body: JSON.stringify(formatArtistDetail(result.Item))
+    };
+  } catch (error) {
+    console.error('❌ DynamoDB get failed:', error);
+    throw error;
+  }
+}
+
+// Public artist page lookup. Retired slugs answer 301 with the current slug in Location.
+async function handleGetArtistBySlug(slug) {
+  console.log(`🎵 Artists Lambda: Getting artist by slug: ${slug}`);
+
+  try {
+    const slugResult = await dynamodb.get({
+      TableName: ARTIST_SLUGS_TABLE,
+      Key: { slug: slug.toLowerCase() }
+    }).promise();
+
+    const artistResult = slugResult.Item
+      ? await dynamodb.get({ TableName: 'bndy-artists', Key: { id: slugResult.Item.artist_id } }).promise()
+      : {};
+
+    if (!artistResult.Item || artistResult.Item.deleted_at) {
       return {
         statusCode: 404,
         headers: getCorsHeaders(),
@@ -165,34 +359,97 @@ async function handleGetArtistById(artistId) {
       };
     }
 
-    // Transform to match expected API format
-    const artist = {
-      id: result.Item.id,
-      name: result.Item.name,
-      bio: result.Item.bio || '',
-      location: result.Item.location || '',
-      genres: result.Item.genres || [],
-      facebookUrl: result.Item.facebookUrl || '',
-      instagramUrl: result.Item.instagramUrl || '',
-      websiteUrl: result.Item.websiteUrl || '',
-      socialMediaUrls: result.Item.socialMediaUrls || [],
-      profileImageUrl: result.Item.profileImageUrl || '',
-      isVerified: result.Item.isVerified || false,
-      followerCount: result.Item.followerCount || 0,
-      claimedByUserId: result.Item.claimedByUserId || null,
-      createdAt: result.Item.createdAt,
-      updatedAt: result.Item.updatedAt
+    const artist = artistResult.Item;
+
+    if (artist.slug && artist.slug !== slugResult.Item.slug) {
+      return {
+        statusCode: 301,
+        headers: {
+          ...getCorsHeaders(),
+          Location: `/api/artists/by-slug/${encodeURIComponent(artist.slug)}`
+        },
+        body: JSON.stringify({ slug: artist.slug, artistId: artist.id })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: getCorsHeaders(),
+      body: JSON.stringify(formatArtistDetail(artist))
+    };
+  } catch (error) {
+    console.error('❌ DynamoDB slug lookup failed:', error);
+    throw error;
+  }
+}
+
+// Change an artist's slug (owners). The old slug stays reserved for the artist and redirects.
+async function handleUpdateArtistSlug(event, artistId) {
+  console.log(`🎵 Artists Lambda: Updating slug for artist: ${artistId}`);
+
+  const authResult = await requireArtistPermission(event, artistId, OWNER_ONLY);
+  if (authResult.error) {
+    return {
+      statusCode: authResult.statusCode,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: authResult.error })
+    };
+  }
+
+  const { slug: rawSlug } = JSON.parse(event.body || '{}');
+  const slug = typeof rawSlug === 'string' ? rawSlug.trim().toLowerCase() : rawSlug;
+
+  const slugError = validateSlug(slug);
+  if (slugError) {
+    return badRequestResponse(slugError);
+  }
+
+  const artistResult = await dynamodb.get({
+    TableName: 'bndy-artists',
+    Key: { id: artistId }
+  }).promise();
+
+  if (!artistResult.Item || artistResult.Item.deleted_at) {
+    return {
+      statusCode: 404,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'Artist not found' })
     };
+  }
 
+  const previousSlug = artistResult.Item.slug || null;
+
+  if (previousSlug === slug) {
     return {
       statusCode: 200,
       headers: getCorsHeaders(),
-      body: JSON.stringify(artist)
+      body: JSON.stringify({ slug, previousSlug, message: 'Slug unchanged' })
     };
+  }
+
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: buildSlugChangeItems({ artistId, slug, previousSlug })
+    }).promise();
   } catch (error) {
-    console.error('❌ DynamoDB get failed:', error);
+    if (error.code === 'TransactionCanceledException') {
+      return {
+        statusCode: 409,
+        headers: getCorsHeaders(),
+        body: JSON.stringify({ error: 'This slug is already taken' })
+      };
+    }
+    console.error('❌ DynamoDB slug transaction failed:', error);
     throw error;
   }
+
+  console.log('✅ Artist slug updated', { artistId, slug, previousSlug });
+
+  return {
+    statusCode: 200,
+    headers: getCorsHeaders(),
+    body: JSON.stringify({ slug, previousSlug, message: 'Slug updated' })
+  };
 }
 
 async function handleCreateArtist(event) {
@@ -209,31 +466,68 @@ async function handleCreateArtist(event) {
   }
 
   const { user } = authResult;
-  const artistData = JSON.parse(event.body);
+
+  let artistData;
+  try {
+    artistData = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return badRequestResponse('Invalid JSON body');
+  }
+
+  if (!artistData || typeof artistData !== 'object' || Array.isArray(artistData)) {
+    return badRequestResponse('Request body must be an object');
+  }
+
+  // Artist fields get the same validation as PATCH; the rest of the body is the owner's member
+  // profile. isVerified is never taken from the client here.
+  const artistFields = {
+    ...(artistData.artist_type !== undefined && { artistType: artistData.artist_type }),
+    ...(artistData.avatarUrl !== undefined && { profileImageUrl: artistData.avatarUrl }),
+    ...Object.fromEntries(Object.keys(ARTIST_FIELDS)
+      .filter(field => field !== 'isVerified' && artistData[field] !== undefined)
+      .map(field => [field, artistData[field]]))
+  };
+
+  const { values, errors } = validateArtistPatch(artistFields);
+  if (typeof artistFields.name !== 'string' || !artistFields.name.trim()) {
+    errors.name = 'Required';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return {
+      statusCode: 422,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'Validation failed', errors })
+    };
+  }
 
   const now = new Date().toISOString();
   const artistId = crypto.randomUUID();
 
   const artist = {
     id: artistId,
-    name: artistData.name,
-    bio: artistData.bio || '',
-    location: artistData.location || '',
-    genres: artistData.genres || [],
+    name: values.name,
+    bio: values.bio || '',
+    location: values.location || '',
+    genres: values.genres || [],
+
+    // Directory index fields (record_type, name_lower, ...)
+    ...buildArtistIndexFields(values),
 
     // NEW: Artist type field (band, solo, duo, group, dj, collective)
-    artist_type: artistData.artistType || artistData.artist_type || 'band',
+    artist_type: values.artist_type || 'band',
 
     // NEW: Owner tracking
     owner_user_id: user.userId,
     member_count: 1, // Creator is first member
+    owner_count: 1,
 
     // Social media
-    facebookUrl: artistData.facebookUrl || '',
-    instagramUrl: artistData.instagramUrl || '',
-    websiteUrl: artistData.websiteUrl || '',
-    socialMediaUrls: artistData.socialMediaUrls || [],
-    profileImageUrl: artistData.profileImageUrl || artistData.avatarUrl || '',
+    facebookUrl: values.facebookUrl || '',
+    instagramUrl: values.instagramUrl || '',
+    websiteUrl: values.websiteUrl || '',
+    socialMediaUrls: values.socialMediaUrls || [],
+    profileImageUrl: values.profileImageUrl || '',
 
     isVerified: false,
     followerCount: 0,
@@ -243,53 +537,47 @@ async function handleCreateArtist(event) {
   };
 
   try {
-    // Create artist record
-    await dynamodb.put({
-      TableName: 'bndy-artists',
-      Item: artist
-    }).promise();
-
     // Create owner membership automatically
-    const membershipId = crypto.randomUUID();
-    const membership = {
-      membership_id: membershipId,
-      user_id: user.userId,
-      artist_id: artistId,
-      membership_type: 'performer',
-      role: 'owner',
-
-      // Profile fields (null = inherit from user profile)
-      display_name: artistData.memberDisplayName || null,
-      avatar_url: null,
-      instrument: artistData.memberInstrument || null,
-      bio: null,
-
-      // UI fields
-      icon: artistData.memberIcon || 'fa-music',
-      color: artistData.memberColor || '#708090',
-
-      // Owner gets all permissions
-      permissions: [
-        'manage_members',
-        'manage_gigs',
-        'manage_songs',
-        'manage_finances',
-        'manage_settings'
-      ],
-
-      joined_at: now,
-      invited_at: null,
-      invited_by_user_id: null,
-      status: 'active',
-
-      created_at: now,
-      updated_at: now
-    };
-
-    await dynamodb.put({
-      TableName: MEMBERSHIPS_TABLE,
-      Item: membership
-    }).promise();
+    const membership = buildOwnerMembership(artistId, user.userId, now, artistData);
+
+    // Artist, slug, owner membership and its guard commit together (member_count already counts the owner)
+    const [membershipPut, guardPut] = buildMembershipCreateItems(membership);
+
+    // A taken slug cancels the transaction, so fall through the candidates until one is free
+    const slugCandidates = buildSlugCandidates(values.name);
+
+    for (let attempt = 0; attempt < slugCandidates.length; attempt++) {
+      artist.slug = slugCandidates[attempt];
+
+      try {
+        await dynamodb.transactWrite({
+          TransactItems: [
+            {
+              Put: {
+                TableName: 'bndy-artists',
+                Item: artist,
+                ConditionExpression: 'attribute_not_exists(id)'
+              }
+            },
+            ...buildSlugChangeItems({ artistId, slug: artist.slug, artistUpdate: false }),
+            membershipPut,
+            guardPut,
+            buildMembershipEventItem({
+              type: 'joined',
+              membership,
+              actorUserId: user.userId,
+              after: { role: membership.role, permissions: membership.permissions }
+            })
+          ]
+        }).promise();
+        break;
+      } catch (error) {
+        if (error.code !== 'TransactionCanceledException' || attempt === slugCandidates.length - 1) {
+          throw error;
+        }
+        console.log(`🎵 Artists Lambda: Slug ${artist.slug} unavailable, trying the next one`);
+      }
+    }
 
     console.log('✅ Artist and owner membership created successfully');
 
@@ -303,67 +591,1188 @@ async function handleCreateArtist(event) {
       })
     };
   } catch (error) {
-    console.error('❌ DynamoDB put failed:', error);
+    console.error('❌ DynamoDB transaction failed:', error);
     throw error;
   }
 }
 
-async function handleUpdateArtist(artistId, artistData) {
-  console.log(`🎵 Artists Lambda: Updating artist: ${artistId}`);
+// Partial update (manage_settings) - only supplied fields are written; null or '' clears a field.
+// isVerified is a platform decision and can only be changed by admins.
+async function handlePatchArtist(event, artistId) {
+  console.log(`🎵 Artists Lambda: Patching artist: ${artistId}`);
 
-  const now = new Date().toISOString();
+  const authResult = await requireArtistPermission(event, artistId, 'manage_settings');
+  if (authResult.error) {
+    return {
+      statusCode: authResult.statusCode,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: authResult.error })
+    };
+  }
+
+  let requestBody;
+  try {
+    requestBody = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return badRequestResponse('Invalid JSON body');
+  }
+
+  if (!requestBody || typeof requestBody !== 'object' || Array.isArray(requestBody)) {
+    return badRequestResponse('Request body must be an object');
+  }
+
+  if (requestBody.isVerified !== undefined && !hasRole(authResult.user, 'admin')) {
+    return {
+      statusCode: 403,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'Only admins can change isVerified' })
+    };
+  }
+
+  const { values, errors } = validateArtistPatch(requestBody);
+
+  if (Object.keys(errors).length > 0) {
+    return {
+      statusCode: 422,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'Validation failed', errors })
+    };
+  }
+
+  if (Object.keys(values).length === 0) {
+    return badRequestResponse('No fields to update');
+  }
+
+  const artistResult = await dynamodb.get({
+    TableName: 'bndy-artists',
+    Key: { id: artistId }
+  }).promise();
+
+  if (!artistResult.Item || artistResult.Item.deleted_at) {
+    return {
+      statusCode: 404,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'Artist not found' })
+    };
+  }
+
+  // Keep the directory index fields in step with name, location and genres
+  const indexFields = ['name', 'location', 'genres'].some(column => column in values)
+    ? buildArtistIndexFields({ ...artistResult.Item, ...values })
+    : {};
+
+  const updates = { ...values, ...indexFields, updated_at: new Date().toISOString() };
 
   const params = {
     TableName: 'bndy-artists',
     Key: { id: artistId },
-    UpdateExpression: 'SET #name = :name, bio = :bio, #location = :location, genres = :genres, isVerified = :isVerified, updated_at = :updated_at',
-    ExpressionAttributeNames: {
-      '#name': 'name',
-      '#location': 'location'
-    },
-    ExpressionAttributeValues: {
-      ':name': artistData.name,
-      ':bio': artistData.bio || '',
-      ':location': artistData.location || '',
-      ':genres': artistData.genres || [],
-      ':isVerified': artistData.isVerified || false,
-      ':updated_at': now
-    },
+    UpdateExpression: 'SET ' + Object.keys(updates).map(column => `#${column} = :${column}`).join(', '),
+    ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(deleted_at)',
+    ExpressionAttributeNames: Object.fromEntries(Object.keys(updates).map(column => [`#${column}`, column])),
+    ExpressionAttributeValues: Object.fromEntries(Object.entries(updates).map(([column, value]) => [`:${column}`, value])),
     ReturnValues: 'ALL_NEW'
   };
 
   try {
     const result = await dynamodb.update(params).promise();
+
+    console.log('✅ Artist patched', { artistId, fields: Object.keys(values) });
+
     return {
       statusCode: 200,
       headers: getCorsHeaders(),
-      body: JSON.stringify(result.Attributes)
+      body: JSON.stringify({ artist: formatArtistDetail(result.Attributes), message: 'Artist updated successfully' })
     };
   } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return {
+        statusCode: 404,
+        headers: getCorsHeaders(),
+        body: JSON.stringify({ error: 'Artist not found' })
+      };
+    }
     console.error('❌ DynamoDB update failed:', error);
     throw error;
   }
 }
 
-async function handleDeleteArtist(artistId) {
-  console.log(`🎵 Artists Lambda: Deleting artist: ${artistId}`);
+// Returns { values: { column: value }, errors: { field: message } } for the supplied fields only
+function validateArtistPatch(body) {
+  const values = {};
+  const errors = {};
 
-  const params = {
-    TableName: 'bndy-artists',
-    Key: { id: artistId }
-  };
+  for (const [field, value] of Object.entries(body)) {
+    const rules = ARTIST_FIELDS[field];
 
-  try {
-    await dynamodb.delete(params).promise();
+    if (!rules) {
+      errors[field] = 'Unknown field';
+      continue;
+    }
+
+    // null or an empty string clears the field (stored empty, as on create)
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+    if (trimmed === null || trimmed === '') {
+      if (rules.nullable === false) {
+        errors[field] = 'Cannot be cleared';
+      } else {
+        values[rules.column] = ['genres', 'socialLinks'].includes(rules.type) ? [] : '';
+      }
+      continue;
+    }
+
+    const error = validateArtistField(rules, trimmed);
+    if (error) {
+      errors[field] = error;
+    } else {
+      values[rules.column] = rules.type === 'socialLinks'
+        ? trimmed.map(link => ({ platform: link.platform, url: link.url.trim() }))
+        : rules.type === 'genres' ? trimmed.map(genre => genre.trim()) : trimmed;
+    }
+  }
+
+  return { values, errors };
+}
+
+// Error message for one non-empty field value, or null
+function validateArtistField(rules, value) {
+  switch (rules.type) {
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'Must be true or false';
+
+    case 'genres':
+      if (!Array.isArray(value) || value.length > MAX_GENRES) {
+        return `Must be a list of at most ${MAX_GENRES} genres`;
+      }
+      return value.every(genre => typeof genre === 'string' && genre.trim() && genre.trim().length <= MAX_GENRE_LENGTH)
+        ? null
+        : `Each genre must be a string of 1-${MAX_GENRE_LENGTH} characters`;
+
+    case 'url':
+      if (typeof value !== 'string' || value.length > MAX_URL_LENGTH || !parseHttpUrl(value)) {
+        return 'Must be an http(s) URL';
+      }
+      return !rules.platform || isSocialPlatformUrl(rules.platform, value)
+        ? null
+        : `Must be a ${rules.platform} URL`;
+
+    case 'image':
+      return typeof value === 'string' && value.startsWith(IMAGES_BASE_URL) && !value.includes('..')
+        ? null
+        : 'Must be an image uploaded to BNDY';
+
+    case 'socialLinks':
+      if (!Array.isArray(value) || value.length > MAX_SOCIAL_LINKS) {
+        return `Must be a list of at most ${MAX_SOCIAL_LINKS} links`;
+      }
+      for (const link of value) {
+        if (!link || typeof link !== 'object' || !Object.prototype.hasOwnProperty.call(SOCIAL_PLATFORMS, link.platform)) {
+          return `Each link needs a platform, one of: ${Object.keys(SOCIAL_PLATFORMS).join(', ')}`;
+        }
+        if (typeof link.url !== 'string' || link.url.length > MAX_URL_LENGTH || !parseHttpUrl(link.url.trim())) {
+          return `Invalid ${link.platform} link - must be an http(s) URL`;
+        }
+        if (!isSocialPlatformUrl(link.platform, link.url.trim())) {
+          return `Invalid ${link.platform} link - must be a ${link.platform} URL`;
+        }
+      }
+      return null;
+
+    default:
+      if (typeof value !== 'string') return 'Must be a string';
+      if (rules.values && !rules.values.includes(value)) return `Must be one of: ${rules.values.join(', ')}`;
+      if (rules.maxLength && value.length > rules.maxLength) return `Must be at most ${rules.maxLength} characters`;
+      return null;
+  }
+}
+
+// Whether url is on one of the platform's hosts (any host for 'website')
+function isSocialPlatformUrl(platform, url) {
+  const hosts = SOCIAL_PLATFORMS[platform];
+  const hostname = parseHttpUrl(url)?.hostname.toLowerCase();
+
+  if (!hostname) return false;
+  return !hosts || hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+// Soft delete (owners). The artist leaves the directory, its memberships are archived and it
+// can be restored for ARTIST_DELETION_GRACE_PERIOD_DAYS before purgeDeletedArtists removes it.
+// Archiving happens after the artist is marked deleted, so repeating the DELETE (or the daily
+// purge run) finishes any memberships an interrupted request left behind.
+async function handleDeleteArtist(event, artistId) {
+  console.log(`🎵 Artists Lambda: Deleting artist: ${artistId}`);
+
+  const authResult = await authorizeArtistOwner(event, artistId);
+  if (authResult.error) {
     return {
-      statusCode: 204,
+      statusCode: authResult.statusCode,
       headers: getCorsHeaders(),
-      body: ''
+      body: JSON.stringify({ error: authResult.error })
     };
+  }
+
+  const { user } = authResult;
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + ARTIST_DELETION_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  let artist;
+  let resumed = false;
+  try {
+    const result = await dynamodb.update({
+      TableName: 'bndy-artists',
+      Key: { id: artistId },
+      // Dropping record_type takes the artist out of the directory index
+      UpdateExpression: 'SET deleted_at = :now, deleted_by_user_id = :userId, ' +
+        'deletion_scheduled_for = :scheduledFor, updated_at = :now REMOVE record_type',
+      ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(deleted_at)',
+      ExpressionAttributeValues: {
+        ':now': now.toISOString(),
+        ':userId': user.userId,
+        ':scheduledFor': scheduledFor
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+    artist = result.Attributes;
   } catch (error) {
-    console.error('❌ DynamoDB delete failed:', error);
-    throw error;
+    if (error.code !== 'ConditionalCheckFailedException') {
+      console.error('❌ DynamoDB delete failed:', error);
+      throw error;
+    }
+
+    // Already deleted - carry on archiving whatever is left
+    const artistResult = await dynamodb.get({
+      TableName: 'bndy-artists',
+      Key: { id: artistId }
+    }).promise();
+
+    if (!artistResult.Item || !artistResult.Item.deleted_at) {
+      return {
+        statusCode: 404,
+        headers: getCorsHeaders(),
+        body: JSON.stringify({ error: 'Artist not found' })
+      };
+    }
+    artist = artistResult.Item;
+    resumed = true;
+  }
+
+  const membershipsArchived = await archiveArtistMemberships(artistId);
+
+  if (!resumed) {
+    await writeAuditEntry({
+      action: 'artist.deletion_requested',
+      actorUserId: user.userId,
+      targetType: 'artist',
+      targetId: artistId,
+      after: { deletionScheduledFor: artist.deletion_scheduled_for, membershipsArchived }
+    });
+  }
+
+  console.log('✅ Artist deletion scheduled', { artistId, deletionScheduledFor: artist.deletion_scheduled_for, membershipsArchived });
+
+  return {
+    statusCode: 202,
+    headers: getCorsHeaders(),
+    body: JSON.stringify({
+      deletedAt: artist.deleted_at,
+      deletionScheduledFor: artist.deletion_scheduled_for,
+      message: `${artist.name} will be permanently deleted on ${artist.deletion_scheduled_for.substring(0, 10)}. Restore it before then to cancel.`
+    })
+  };
+}
+
+// Cancel a pending deletion (the artist's owners, or platform admins)
+async function handleRestoreArtist(event, artistId) {
+  console.log(`🎵 Artists Lambda: Restoring artist: ${artistId}`);
+
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return {
+      statusCode: 401,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: authResult.error })
+    };
+  }
+
+  const { user } = authResult;
+
+  const artistResult = await dynamodb.get({
+    TableName: 'bndy-artists',
+    Key: { id: artistId }
+  }).promise();
+
+  if (!artistResult.Item) {
+    return {
+      statusCode: 404,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'Artist not found' })
+    };
+  }
+
+  const ownerResult = await authorizeArtistOwner(event, artistId);
+  if (ownerResult.error) {
+    return {
+      statusCode: ownerResult.statusCode,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: ownerResult.error })
+    };
+  }
+
+  if (!artistResult.Item.deleted_at) {
+    return {
+      statusCode: 409,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'Artist is not scheduled for deletion' })
+    };
+  }
+
+  // Memberships first, so a failed restore can simply be retried
+  const membershipsRestored = await restoreArtistMemberships(artistId);
+
+  let artist;
+  try {
+    const result = await dynamodb.update({
+      TableName: 'bndy-artists',
+      Key: { id: artistId },
+      UpdateExpression: 'SET record_type = :recordType, updated_at = :now ' +
+        'REMOVE deleted_at, deleted_by_user_id, deletion_scheduled_for',
+      ConditionExpression: 'attribute_exists(deleted_at)',
+      ExpressionAttributeValues: {
+        ':recordType': ARTIST_RECORD_TYPE,
+        ':now': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+    artist = result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return {
+        statusCode: 409,
+        headers: getCorsHeaders(),
+        body: JSON.stringify({ error: 'Artist is not scheduled for deletion' })
+      };
+    }
+    throw error;
+  }
+
+  await writeAuditEntry({
+    action: 'artist.deletion_cancelled',
+    actorUserId: user.userId,
+    targetType: 'artist',
+    targetId: artistId,
+    after: { membershipsRestored }
+  });
+
+  console.log('✅ Artist restored', { artistId, membershipsRestored });
+
+  return {
+    statusCode: 200,
+    headers: getCorsHeaders(),
+    body: JSON.stringify({ artist: formatArtistDetail(artist), message: 'Artist deletion cancelled' })
+  };
+}
+
+// Owners (or platform admins) of an artist, deleted or not - an owner's membership is archived with
+// the artist, so requireArtistPermission can't see it. Returns { user } or { error, statusCode }.
+async function authorizeArtistOwner(event, artistId) {
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return { error: authResult.error, statusCode: 401 };
+  }
+
+  if (hasRole(authResult.user, 'admin')) {
+    return authResult;
+  }
+
+  const membership = await getGuardedMembership(userGuardKey(artistId, authResult.user.userId));
+  const status = membership?.status === ARCHIVED_MEMBERSHIP_STATUS ? membership.archived_status : membership?.status;
+
+  if (!membership || membership.role !== 'owner' || status !== 'active') {
+    return { error: 'Forbidden', statusCode: 403 };
+  }
+
+  return authResult;
+}
+
+// Archive every membership and invitation of a deleted artist, remembering its status.
+// Returns how many were archived.
+async function archiveArtistMemberships(artistId) {
+  const memberships = (await queryArtistMemberships(artistId)).filter(membership => membership.status !== ARCHIVED_MEMBERSHIP_STATUS);
+
+  for (const membership of memberships) {
+    try {
+      await dynamodb.update({
+        TableName: 'bndy-artist-memberships',
+        Key: { membership_id: membership.membership_id },
+        UpdateExpression: 'SET archived_status = #status, #status = :archived, updated_at = :now',
+        ConditionExpression: '#status = :status',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':archived': ARCHIVED_MEMBERSHIP_STATUS,
+          ':status': membership.status,
+          ':now': new Date().toISOString()
+        }
+      }).promise();
+    } catch (error) {
+      // Changed or removed since it was read - nothing left to archive
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+
+  return memberships.length;
+}
+
+// Put archived memberships back to the status they had before the artist was deleted
+async function restoreArtistMemberships(artistId) {
+  const memberships = (await queryArtistMemberships(artistId)).filter(membership => membership.status === ARCHIVED_MEMBERSHIP_STATUS);
+
+  for (const membership of memberships) {
+    try {
+      await dynamodb.update({
+        TableName: 'bndy-artist-memberships',
+        Key: { membership_id: membership.membership_id },
+        UpdateExpression: 'SET #status = archived_status, updated_at = :now REMOVE archived_status',
+        ConditionExpression: '#status = :archived',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':archived': ARCHIVED_MEMBERSHIP_STATUS,
+          ':now': new Date().toISOString()
+        }
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+
+  return memberships.length;
+}
+
+// Hard-delete one artist whose grace period has passed, with everything keyed to it
+async function purgeArtist(artist) {
+  const artistId = artist.id;
+  const byArtist = {
+    KeyConditionExpression: 'artist_id = :artistId',
+    ExpressionAttributeValues: { ':artistId': artistId }
+  };
+
+  // Memberships - each goes with its guard; there is no member_count left to adjust
+  const memberships = await queryArtistMemberships(artistId);
+
+  for (const membership of memberships) {
+    await dynamodb.transactWrite({
+      TransactItems: buildMembershipDeleteItems(membership, { adjustCount: false })
+    }).promise();
+  }
+
+  // Membership history, custom roles, slugs (released for reuse) and claims
+  const events = await queryAll({ TableName: MEMBERSHIP_EVENTS_TABLE, ...byArtist });
+  await batchDelete(MEMBERSHIP_EVENTS_TABLE, events.map(item => ({ artist_id: artistId, event_id: item.event_id })));
+
+  const roles = await queryAll({ TableName: ARTIST_ROLES_TABLE, ...byArtist });
+  await batchDelete(ARTIST_ROLES_TABLE, roles.map(item => ({ artist_id: artistId, role_id: item.role_id })));
+
+  const slugs = await queryAll({ TableName: ARTIST_SLUGS_TABLE, IndexName: SLUGS_BY_ARTIST_INDEX, ...byArtist });
+  await batchDelete(ARTIST_SLUGS_TABLE, slugs.map(item => ({ slug: item.slug })));
+
+  const claims = await queryArtistClaims(artistId);
+  const claimGuardKeys = [...new Set(claims.map(item => claimGuardKey(artistId, item.user_id)))];
+  await batchDelete(ARTIST_CLAIMS_TABLE, [
+    ...claims.map(item => ({ claim_id: item.claim_id })),
+    ...claimGuardKeys.map(key => ({ claim_id: key }))
+  ]);
+
+  await dynamodb.delete({
+    TableName: 'bndy-artists',
+    Key: { id: artistId },
+    // Skip if the artist was restored while we were purging
+    ConditionExpression: 'attribute_exists(deleted_at)'
+  }).promise();
+
+  await writeAuditEntry({
+    action: 'artist.purged',
+    actorUserId: 'system',
+    targetType: 'artist',
+    targetId: artistId,
+    before: {
+      name: artist.name,
+      deletedByUserId: artist.deleted_by_user_id || null,
+      memberships: memberships.length,
+      membershipEvents: events.length,
+      roles: roles.length,
+      slugs: slugs.length,
+      claims: claims.length
+    }
+  });
+}
+
+// Scheduled job (ArtistsPurgeFunction) - hard-deletes artists whose grace period has passed and
+// finishes archiving the memberships of the others still in their grace period
+exports.purgeDeletedArtists = async () => {
+  const now = new Date().toISOString();
+
+  const deletedArtists = await queryAll({
+    TableName: 'bndy-artists',
+    FilterExpression: 'attribute_exists(deleted_at)'
+  }, 'scan');
+  const dueArtists = deletedArtists.filter(artist => artist.deletion_scheduled_for <= now);
+
+  console.log(`🎵 Artists Lambda: Purging ${dueArtists.length} of ${deletedArtists.length} deleted artists`);
+
+  let purged = 0;
+  let archived = 0;
+  let failed = 0;
+
+  for (const artist of deletedArtists) {
+    try {
+      if (artist.deletion_scheduled_for <= now) {
+        await purgeArtist(artist);
+        purged++;
+      } else {
+        archived += await archiveArtistMemberships(artist.id);
+      }
+    } catch (error) {
+      // Leave the artist in place so the next run retries it
+      failed++;
+      console.error('❌ Artist purge failed', { artistId: artist.id, error: error.message });
+    }
+  }
+
+  console.log('✅ Artist purge complete', { purged, membershipsArchived: archived, failed });
+
+  return { purged, membershipsArchived: archived, failed };
+};
+
+// All of an artist's memberships and invitations, any status
+function queryArtistMemberships(artistId) {
+  return queryAll({
+    TableName: 'bndy-artist-memberships',
+    IndexName: 'artist_id-index',
+    KeyConditionExpression: 'artist_id = :artistId',
+    ExpressionAttributeValues: { ':artistId': artistId }
+  });
+}
+
+// Every item of a paginated query (or scan)
+async function queryAll(params, operation = 'query') {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb[operation]({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+}
+
+// Delete keys in batches of 25, retrying unprocessed items
+async function batchDelete(tableName, keys) {
+  for (let i = 0; i < keys.length; i += 25) {
+    let requestItems = {
+      [tableName]: keys.slice(i, i + 25).map(key => ({ DeleteRequest: { Key: key } }))
+    };
+
+    while (requestItems && Object.keys(requestItems).length > 0) {
+      const result = await dynamodb.batchWrite({ RequestItems: requestItems }).promise();
+      requestItems = result.UnprocessedItems;
+    }
+  }
+}
+
+// Request ownership of an artist nobody owns yet (imported profiles). Admins review the claim.
+// Body: { socialUrl, message } - the claimant's account email domain is recorded as evidence too.
+async function handleCreateArtistClaim(event, artistId) {
+  console.log(`🎵 Artists Lambda: Claim requested for artist: ${artistId}`);
+
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return {
+      statusCode: 401,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: authResult.error })
+    };
+  }
+
+  const { user } = authResult;
+  const { socialUrl, message } = JSON.parse(event.body || '{}');
+
+  if (socialUrl !== undefined && socialUrl !== null && !parseHttpUrl(socialUrl)) {
+    return badRequestResponse('socialUrl must be an http(s) URL');
+  }
+  if (message !== undefined && message !== null &&
+    (typeof message !== 'string' || message.length > MAX_CLAIM_MESSAGE_LENGTH)) {
+    return badRequestResponse(`message must be a string of at most ${MAX_CLAIM_MESSAGE_LENGTH} characters`);
+  }
+
+  const artistResult = await dynamodb.get({
+    TableName: 'bndy-artists',
+    Key: { id: artistId }
+  }).promise();
+
+  const artist = artistResult.Item;
+  if (!artist || artist.deleted_at) {
+    return {
+      statusCode: 404,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'Artist not found' })
+    };
+  }
+
+  if (artist.owner_user_id) {
+    return {
+      statusCode: 409,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'This artist already has an owner' })
+    };
+  }
+
+  const claimants = await getUsersByIds([user.userId], { projection: 'cognito_id, email' });
+  const email = claimants.get(user.userId)?.email || user.email || '';
+  const emailDomain = email.includes('@') ? email.split('@').pop().toLowerCase() : null;
+
+  const checks = buildClaimChecks(artist, { socialUrl, emailDomain });
+
+  if (!socialUrl && !checks.email_domain_matches_website) {
+    return badRequestResponse('Provide a socialUrl for the artist, or claim from an email address at the artist website\'s domain');
+  }
+
+  const now = new Date().toISOString();
+  const claim = {
+    claim_id: crypto.randomUUID(),
+    artist_id: artistId,
+    user_id: user.userId,
+    status: 'pending',
+    evidence: {
+      social_url: socialUrl || null,
+      email_domain: emailDomain,
+      message: message || null
+    },
+    checks,
+    created_at: now,
+    updated_at: now
+  };
+
+  // The guard put fails if this user already has a pending claim for the artist
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: ARTIST_CLAIMS_TABLE,
+            Item: claim,
+            ConditionExpression: 'attribute_not_exists(claim_id)'
+          }
+        },
+        {
+          Put: {
+            TableName: ARTIST_CLAIMS_TABLE,
+            Item: {
+              claim_id: claimGuardKey(artistId, user.userId),
+              record_type: CLAIM_GUARD_TYPE,
+              claim_ref: claim.claim_id,
+              created_at: now
+            },
+            ConditionExpression: 'attribute_not_exists(claim_id)'
+          }
+        }
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      return {
+        statusCode: 409,
+        headers: getCorsHeaders(),
+        body: JSON.stringify({ error: 'You already have a pending claim for this artist' })
+      };
+    }
+    throw error;
+  }
+
+  console.log('✅ Artist claim created', { claimId: claim.claim_id, artistId });
+
+  return {
+    statusCode: 201,
+    headers: getCorsHeaders(),
+    body: JSON.stringify({ claim: formatArtistClaim(claim), message: 'Claim submitted for review' })
+  };
+}
+
+// Admin review queue, oldest first. Query params: status (default pending), limit, cursor
+async function handleListArtistClaims(event) {
+  console.log('🎵 Artists Lambda: Listing artist claims');
+
+  const authResult = requireRole(event, 'admin');
+  if (authResult.error) {
+    return {
+      statusCode: authResult.statusCode,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: authResult.error })
+    };
+  }
+
+  const query = event.queryStringParameters || {};
+  const status = query.status || 'pending';
+
+  if (!CLAIM_STATUSES.includes(status)) {
+    return badRequestResponse(`status must be one of: ${CLAIM_STATUSES.join(', ')}`);
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return badRequestResponse(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  let exclusiveStartKey;
+  if (query.cursor) {
+    try {
+      exclusiveStartKey = decodeCursor(query.cursor);
+    } catch (error) {
+      return badRequestResponse('Invalid cursor');
+    }
+  }
+
+  const result = await dynamodb.query({
+    TableName: ARTIST_CLAIMS_TABLE,
+    IndexName: CLAIMS_BY_STATUS_INDEX,
+    KeyConditionExpression: '#status = :status',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: { ':status': status },
+    Limit: limit,
+    ExclusiveStartKey: exclusiveStartKey
+  }).promise();
+
+  const claims = result.Items;
+  const [artists, users] = await Promise.all([
+    getArtistsByIds(claims.map(claim => claim.artist_id), { projection: 'id, #name, slug, websiteUrl' }),
+    getUsersByIds(claims.map(claim => claim.user_id), {
+      projection: 'cognito_id, display_name, username, email'
+    })
+  ]);
+
+  return {
+    statusCode: 200,
+    headers: getCorsHeaders(),
+    body: JSON.stringify({
+      claims: claims.map(claim => formatArtistClaim(claim, {
+        artist: artists.get(claim.artist_id),
+        claimant: users.get(claim.user_id)
+      })),
+      count: claims.length,
+      nextCursor: encodeCursor(result.LastEvaluatedKey)
+    })
+  };
+}
+
+// Approve or reject a pending claim (admins). Body: { decision: 'approve' | 'reject', reviewNote }
+// Approval makes the claimant the artist's owner and rejects any other pending claims for it.
+async function handleReviewArtistClaim(event, claimId) {
+  console.log(`🎵 Artists Lambda: Reviewing artist claim: ${claimId}`);
+
+  const authResult = requireRole(event, 'admin');
+  if (authResult.error) {
+    return {
+      statusCode: authResult.statusCode,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: authResult.error })
+    };
+  }
+
+  const { user } = authResult;
+  const { decision, reviewNote } = JSON.parse(event.body || '{}');
+
+  if (!['approve', 'reject'].includes(decision)) {
+    return badRequestResponse('decision must be approve or reject');
+  }
+  if (reviewNote !== undefined && reviewNote !== null &&
+    (typeof reviewNote !== 'string' || reviewNote.length > MAX_REVIEW_NOTE_LENGTH)) {
+    return badRequestResponse(`reviewNote must be a string of at most ${MAX_REVIEW_NOTE_LENGTH} characters`);
+  }
+
+  const claimResult = await dynamodb.get({
+    TableName: ARTIST_CLAIMS_TABLE,
+    Key: { claim_id: claimId }
+  }).promise();
+
+  const claim = claimResult.Item;
+  if (!claim || claim.record_type === CLAIM_GUARD_TYPE) {
+    return {
+      statusCode: 404,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'Claim not found' })
+    };
+  }
+
+  if (claim.status !== 'pending') {
+    return {
+      statusCode: 409,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: `Claim has already been ${claim.status}` })
+    };
+  }
+
+  const artistResult = await dynamodb.get({
+    TableName: 'bndy-artists',
+    Key: { id: claim.artist_id }
+  }).promise();
+
+  const artist = artistResult.Item;
+  const artistName = artist?.name || 'an artist';
+  const now = new Date().toISOString();
+
+  if (decision === 'reject') {
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: buildClaimReviewItems(claim, 'rejected', user.userId, reviewNote, now)
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        return {
+          statusCode: 409,
+          headers: getCorsHeaders(),
+          body: JSON.stringify({ error: 'Claim is no longer pending' })
+        };
+      }
+      throw error;
+    }
+
+    await notifyClaimReviewed(claim, 'rejected', artistName, user.userId, reviewNote);
+    console.log('✅ Artist claim rejected', { claimId });
+
+    return {
+      statusCode: 200,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({
+        claim: formatArtistClaim({
+          ...claim,
+          status: 'rejected',
+          reviewed_by_user_id: user.userId,
+          reviewed_at: now,
+          review_note: reviewNote || null,
+          updated_at: now
+        }),
+        message: 'Claim rejected'
+      })
+    };
+  }
+
+  if (!artist) {
+    return {
+      statusCode: 404,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'Artist not found' })
+    };
+  }
+
+  if (artist.owner_user_id) {
+    return {
+      statusCode: 409,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'This artist already has an owner' })
+    };
+  }
+
+  if (await getGuardedMembership(userGuardKey(claim.artist_id, claim.user_id))) {
+    return {
+      statusCode: 409,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: 'The claimant already has a membership or invitation for this artist' })
+    };
+  }
+
+  // Claim, artist owner, owner membership, its guard and history commit together. member_count
+  // and owner_count are bumped in the artist update - a transaction can only touch the artist item once.
+  const membership = buildOwnerMembership(claim.artist_id, claim.user_id, now);
+  const [membershipPut, guardPut] = buildMembershipCreateItems(membership);
+  const [{ Update: claimUpdate }, claimGuardDelete] = buildClaimReviewItems(claim, 'approved', user.userId, reviewNote, now);
+
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Update: {
+            ...claimUpdate,
+            UpdateExpression: `${claimUpdate.UpdateExpression}, membership_id = :membershipId`,
+            ExpressionAttributeValues: {
+              ...claimUpdate.ExpressionAttributeValues,
+              ':membershipId': membership.membership_id
+            }
+          }
+        },
+        claimGuardDelete,
+        {
+          Update: {
+            TableName: 'bndy-artists',
+            Key: { id: claim.artist_id },
+            // claimedByUserId is deprecated but still read by older clients
+            UpdateExpression: 'SET owner_user_id = :userId, claimedByUserId = :userId, updated_at = :now ADD member_count :one, owner_count :one',
+            ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(owner_user_id) AND attribute_not_exists(deleted_at)',
+            ExpressionAttributeValues: { ':userId': claim.user_id, ':now': now, ':one': 1 }
+          }
+        },
+        membershipPut,
+        guardPut,
+        buildMembershipEventItem({
+          type: 'joined',
+          membership,
+          actorUserId: user.userId,
+          after: { role: membership.role, permissions: membership.permissions },
+          details: { claim_id: claimId }
+        })
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      return {
+        statusCode: 409,
+        headers: getCorsHeaders(),
+        body: JSON.stringify({ error: 'Claim could not be approved - the claim or artist changed, please reload' })
+      };
+    }
+    console.error('❌ DynamoDB claim approval failed:', error);
+    throw error;
+  }
+
+  await notifyClaimReviewed(claim, 'approved', artistName, user.userId, reviewNote);
+
+  // Competing claims can't succeed any more - close them so they leave the queue
+  const competingClaims = (await queryArtistClaims(claim.artist_id))
+    .filter(other => other.claim_id !== claimId && other.status === 'pending');
+
+  for (const other of competingClaims) {
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: buildClaimReviewItems(other, 'rejected', user.userId, 'The artist was claimed by someone else', now)
+      }).promise();
+      await notifyClaimReviewed(other, 'rejected', artistName, user.userId, 'The artist was claimed by someone else');
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException') {
+        console.error('❌ Failed to close competing claim:', other.claim_id, error);
+      }
+    }
+  }
+
+  console.log('✅ Artist claim approved', { claimId, artistId: claim.artist_id, closed: competingClaims.length });
+
+  return {
+    statusCode: 200,
+    headers: getCorsHeaders(),
+    body: JSON.stringify({
+      claim: formatArtistClaim({
+        ...claim,
+        status: 'approved',
+        reviewed_by_user_id: user.userId,
+        reviewed_at: now,
+        review_note: reviewNote || null,
+        membership_id: membership.membership_id,
+        updated_at: now
+      }),
+      membership,
+      message: 'Claim approved'
+    })
+  };
+}
+
+// All claims for an artist, any status
+function queryArtistClaims(artistId) {
+  return queryAll({
+    TableName: ARTIST_CLAIMS_TABLE,
+    IndexName: CLAIMS_BY_ARTIST_INDEX,
+    KeyConditionExpression: 'artist_id = :artistId',
+    ExpressionAttributeValues: { ':artistId': artistId }
+  });
+}
+
+function claimGuardKey(artistId, userId) {
+  return `artist#${artistId}#user#${userId}`;
+}
+
+// Closing a pending claim releases its guard in the same transaction
+function buildClaimReviewItems(claim, status, reviewerUserId, reviewNote, now) {
+  return [
+    { Update: buildClaimReviewUpdate(claim.claim_id, status, reviewerUserId, reviewNote, now) },
+    {
+      Delete: {
+        TableName: ARTIST_CLAIMS_TABLE,
+        Key: { claim_id: claimGuardKey(claim.artist_id, claim.user_id) }
+      }
+    }
+  ];
+}
+
+function buildClaimReviewUpdate(claimId, status, reviewerUserId, reviewNote, now) {
+  return {
+    TableName: ARTIST_CLAIMS_TABLE,
+    Key: { claim_id: claimId },
+    UpdateExpression: 'SET #status = :status, reviewed_by_user_id = :reviewer, reviewed_at = :now, review_note = :note, updated_at = :now',
+    ConditionExpression: '#status = :pending',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':status': status,
+      ':reviewer': reviewerUserId,
+      ':now': now,
+      ':note': reviewNote || null,
+      ':pending': 'pending'
+    }
+  };
+}
+
+async function notifyClaimReviewed(claim, status, artistName, reviewerUserId, reviewNote) {
+  const approved = status === 'approved';
+
+  await notify({
+    userId: claim.user_id,
+    type: 'artist.claim_reviewed',
+    actorUserId: reviewerUserId,
+    title: approved ? `Your claim to ${artistName} was approved` : `Your claim to ${artistName} was not approved`,
+    body: [
+      approved ? `You are now the owner of ${artistName}.` : `Your request to manage ${artistName} was rejected.`,
+      reviewNote || ''
+    ].filter(Boolean).join(' '),
+    link: `/artists/${claim.artist_id}`,
+    data: { artistId: claim.artist_id, claimId: claim.claim_id, status }
+  });
+}
+
+// Hints for reviewers: does the evidence point at links already on the artist profile?
+function buildClaimChecks(artist, { socialUrl, emailDomain }) {
+  const profileUrls = [
+    artist.facebookUrl,
+    artist.instagramUrl,
+    artist.websiteUrl,
+    ...(artist.socialMediaUrls || []).map(link => (typeof link === 'string' ? link : link?.url))
+  ].map(normalizeProfileUrl).filter(Boolean);
+
+  const websiteHost = parseHttpUrl(artist.websiteUrl)?.hostname.replace(/^www\./, '');
+
+  return {
+    social_url_matches_artist: !!socialUrl && profileUrls.includes(normalizeProfileUrl(socialUrl)),
+    email_domain_matches_website: !!emailDomain && !!websiteHost &&
+      (websiteHost === emailDomain || websiteHost.endsWith(`.${emailDomain}`))
+  };
+}
+
+function parseHttpUrl(value) {
+  if (typeof value !== 'string' || !value) return null;
+
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// host + path, lowercased, without www., query or trailing slash
+function normalizeProfileUrl(value) {
+  const url = parseHttpUrl(value);
+  if (!url) return null;
+  return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}`.toLowerCase();
+}
+
+function formatArtistClaim(claim, { artist, claimant } = {}) {
+  return {
+    id: claim.claim_id,
+    status: claim.status,
+    artistId: claim.artist_id,
+    artistName: artist?.name || null,
+    userId: claim.user_id,
+    claimantName: claimant ? claimant.display_name || claimant.username || null : null,
+    claimantEmail: claimant?.email || null,
+    evidence: {
+      socialUrl: claim.evidence?.social_url || null,
+      emailDomain: claim.evidence?.email_domain || null,
+      message: claim.evidence?.message || null
+    },
+    checks: {
+      socialUrlMatchesArtist: !!claim.checks?.social_url_matches_artist,
+      emailDomainMatchesWebsite: !!claim.checks?.email_domain_matches_website
+    },
+    reviewedByUserId: claim.reviewed_by_user_id || null,
+    reviewedAt: claim.reviewed_at || null,
+    reviewNote: claim.review_note || null,
+    membershipId: claim.membership_id || null,
+    createdAt: claim.created_at,
+    updatedAt: claim.updated_at
+  };
+}
+
+// Active owner membership for a new artist's creator or an approved claimant
+function buildOwnerMembership(artistId, userId, now, memberData = {}) {
+  return {
+    membership_id: crypto.randomUUID(),
+    user_id: userId,
+    artist_id: artistId,
+    membership_type: 'performer',
+    role: 'owner',
+
+    // Profile fields (null = inherit from user profile)
+    display_name: memberData.memberDisplayName || null,
+    avatar_url: null,
+    instrument: memberData.memberInstrument || null,
+    bio: null,
+
+    // UI fields
+    icon: memberData.memberIcon || 'fa-music',
+    color: memberData.memberColor || '#708090',
+
+    // Owner gets all permissions
+    permissions: [...ARTIST_PERMISSIONS],
+
+    joined_at: now,
+    invited_at: null,
+    invited_by_user_id: null,
+    status: 'active',
+
+    created_at: now,
+    updated_at: now
+  };
+}
+
+// Transform to match expected API format
+function formatArtistDetail(item) {
+  return {
+    id: item.id,
+    slug: item.slug || null,
+    name: item.name,
+    bio: item.bio || '',
+    location: item.location || '',
+    genres: item.genres || [],
+    facebookUrl: item.facebookUrl || '',
+    instagramUrl: item.instagramUrl || '',
+    websiteUrl: item.websiteUrl || '',
+    socialMediaUrls: item.socialMediaUrls || [],
+    profileImageUrl: item.profileImageUrl || '',
+    artistType: item.artist_type || 'band',
+    isVerified: item.isVerified || false,
+    followerCount: item.followerCount || 0,
+    claimedByUserId: item.claimedByUserId || null,
+    createdAt: item.created_at || item.createdAt,
+    updatedAt: item.updated_at || item.updatedAt
+  };
+}
+
+function badRequestResponse(message) {
+  return {
+    statusCode: 400,
+    headers: getCorsHeaders(),
+    body: JSON.stringify({ error: message })
+  };
+}
+
+// Opaque pagination cursor - the GSI LastEvaluatedKey, base64url encoded
+function encodeCursor(key) {
+  return key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null;
+}
+
+function decodeCursor(cursor) {
+  const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (!key || typeof key !== 'object' || Array.isArray(key)) {
+    throw new Error('Invalid cursor');
   }
+  return key;
 }
 
 function getCorsHeaders() {
@@ -371,7 +1780,7 @@ function getCorsHeaders() {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': FRONTEND_URL,
     'Access-Control-Allow-Headers': 'Content-Type,Authorization,Cookie',
-    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+    'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
     'Access-Control-Allow-Credentials': 'true'
   };
 }
\ No newline at end of file
@@ -4,6 +4,17 @@
 const AWS = require('aws-sdk');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const fs = require('fs');
+const {
+  requireAuth,
+  getEventCookies,
+  getUserMemberships,
+  getArtistsByIds,
+  sendEmail,
+  USER_RECORD_TYPE,
+  buildUserNameLower,
+  buildUserNameLowerUpdate
+} = require('bndy-shared');
 
 // AWS Services
 const dynamodb = new AWS.DynamoDB.DocumentClient();
@@ -15,24 +26,168 @@ const CLIENT_ID = process.env.COGNITO_USER_POOL_CLIENT_ID;
 const CLIENT_SECRET = process.env.COGNITO_USER_POOL_CLIENT_SECRET;
 const JWT_SECRET = process.env.JWT_SECRET;
 
+// Cognito ID token verification
+const USER_POOL_ID = process.env.COGNITO_USER_POOL_ID;
+const COGNITO_ISSUER = `https://cognito-idp.eu-west-2.amazonaws.com/${USER_POOL_ID}`;
+const JWKS_URL = `${COGNITO_ISSUER}/.well-known/jwks.json`;
+const JWKS_FILE = process.env.COGNITO_JWKS_FILE; // Local JWKS fixture for tests/offline runs
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const JWKS_MIN_REFETCH_MS = 60 * 1000; // Don't hammer Cognito on unknown key ids
+
 const FRONTEND_URL = 'https://backstage.bndy.co.uk';
 const API_URL = 'https://api.bndy.co.uk';
 const REDIRECT_URI = `${API_URL}/auth/callback`;
 
+// Login routes (GET /auth/{provider}) mapped to Cognito identity provider names
+const IDENTITY_PROVIDERS = {
+  google: 'Google',
+  apple: 'SignInWithApple',
+  facebook: 'Facebook'
+};
+
 // DynamoDB Tables
 const USERS_TABLE = 'bndy-users';
-
-// State storage for OAuth (in production, use DynamoDB with TTL)
-const stateStore = new Map();
+const OAUTH_STATES_TABLE = 'bndy-oauth-states';
+const SESSIONS_TABLE = 'bndy-sessions';
+const IDENTITIES_TABLE = 'bndy-user-identities';
+const MAGIC_LINKS_TABLE = 'bndy-magic-links';
+
+// Session lifetimes
+// The access cookie is a short-lived JWT verified statelessly by every Lambda;
+// the refresh cookie is backed by a row in SESSIONS_TABLE so it can be revoked.
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const SESSION_IDLE_TTL_SECONDS = 14 * 24 * 60 * 60; // 14 days, extended on every refresh
+const SESSION_MAX_AGE_SECONDS = 90 * 24 * 60 * 60; // 90 days absolute cap
+const COOKIE_DOMAIN = '.bndy.co.uk';
+
+// OAuth state lifetime (DynamoDB TTL removes expired rows lazily, so expiry is also checked on read)
+const STATE_TTL_SECONDS = 300; // 5 minutes
+const MAGIC_LINK_TTL_SECONDS = 15 * 60; // 15 minutes
 
 // Utility functions
 const generateState = () => crypto.randomBytes(32).toString('hex');
+const generateNonce = () => crypto.randomBytes(16).toString('hex');
+
+// PKCE (RFC 7636) - verifier stays server-side in the state record, challenge goes to Cognito
+const generatePkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+// JWKS cache (module scope - survives across warm invocations)
+let jwksCache = { keys: new Map(), fetchedAt: 0 };
+
+const loadJwks = async () => {
+  if (JWKS_FILE) {
+    return JSON.parse(fs.readFileSync(JWKS_FILE, 'utf8'));
+  }
+
+  const response = await fetch(JWKS_URL);
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+const getSigningKey = async (kid) => {
+  const age = Date.now() - jwksCache.fetchedAt;
+  const isStale = age > JWKS_CACHE_TTL_MS;
+  const isUnknownKid = !jwksCache.keys.has(kid) && age > JWKS_MIN_REFETCH_MS;
+
+  if (isStale || isUnknownKid) {
+    // Refetch also picks up Cognito signing key rotation
+    const jwks = await loadJwks();
+    jwksCache = {
+      keys: new Map(jwks.keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])),
+      fetchedAt: Date.now()
+    };
+    console.log('AUTH: JWKS loaded', { keyCount: jwksCache.keys.size });
+  }
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) {
+    throw new Error('ID token signed with unknown key');
+  }
+  return key;
+};
+
+// Verify Cognito ID token signature, issuer, audience, token use and nonce
+const verifyIdToken = async (idToken, expectedNonce) => {
+  if (!USER_POOL_ID) {
+    throw new Error('COGNITO_USER_POOL_ID is not configured');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw new Error('Malformed ID token');
+  }
+
+  const signingKey = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, signingKey, {
+    algorithms: ['RS256'],
+    issuer: COGNITO_ISSUER,
+    audience: CLIENT_ID
+  });
 
-const cleanupExpiredStates = () => {
-  for (const [key, value] of stateStore.entries()) {
-    if (Date.now() - value.timestamp > 300000) { // 5 minutes
-      stateStore.delete(key);
+  if (claims.token_use !== 'id') {
+    throw new Error('Token is not an ID token');
+  }
+
+  if (!expectedNonce || claims.nonce !== expectedNonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Only allow redirects back into the frontend to avoid an open redirect
+const resolveReturnUrl = (candidate) => {
+  if (!candidate) return null;
+
+  try {
+    const url = new URL(candidate, FRONTEND_URL);
+    if (url.origin !== FRONTEND_URL) return null;
+    if (url.pathname === '/login' || url.pathname === '/') return null;
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Persist OAuth state so the callback can land on any Lambda container
+const saveOAuthState = async (state, data) => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  await dynamodb.put({
+    TableName: OAUTH_STATES_TABLE,
+    Item: {
+      state,
+      ...data,
+      created_at: new Date().toISOString(),
+      expires_at: nowSeconds + STATE_TTL_SECONDS
     }
+  }).promise();
+};
+
+// Single-use state consumption - returns the stored record, or null if unknown/expired/already used
+const consumeOAuthState = async (state) => {
+  try {
+    const result = await dynamodb.delete({
+      TableName: OAUTH_STATES_TABLE,
+      Key: { state },
+      ConditionExpression: 'attribute_exists(#state) AND expires_at > :now',
+      ExpressionAttributeNames: { '#state': 'state' },
+      ExpressionAttributeValues: { ':now': Math.floor(Date.now() / 1000) },
+      ReturnValues: 'ALL_OLD'
+    }).promise();
+
+    return result.Attributes || null;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
   }
 };
 
@@ -43,17 +198,7 @@ const corsHeaders = {
   'Access-Control-Allow-Credentials': 'true'
 };
 
-// Parse cookies from event
-const parseCookies = (cookieHeader) => {
-  if (!cookieHeader) return {};
-  return cookieHeader.split(';').reduce((cookies, cookie) => {
-    const [name, value] = cookie.trim().split('=');
-    cookies[name] = value;
-    return cookies;
-  }, {});
-};
-
-// Create response with cookies
+// Create response with cookies (HTTP API v2 sets multiple cookies via the cookies array)
 const createResponse = (statusCode, body, cookies = null) => {
   const response = {
     statusCode,
@@ -65,59 +210,203 @@ const createResponse = (statusCode, body, cookies = null) => {
   };
 
   if (cookies) {
-    response.headers['Set-Cookie'] = cookies;
+    response.cookies = Array.isArray(cookies) ? cookies : [cookies];
   }
 
   return response;
 };
 
-// Authentication middleware
-const requireAuth = (event) => {
-  // HTTP API v2 sends cookies in event.cookies array, REST API v1 in headers
-  let cookieHeader = event.headers?.Cookie || event.headers?.cookie;
+// Cookie helpers
+const buildCookie = (name, value, maxAgeSeconds, path = '/') =>
+  `${name}=${value}; HttpOnly; Secure; SameSite=Lax; Max-Age=${maxAgeSeconds}; Path=${path}; Domain=${COOKIE_DOMAIN}`;
 
-  if (!cookieHeader && event.cookies && event.cookies.length > 0) {
-    // HTTP API v2 format - join cookies array
-    cookieHeader = event.cookies.join('; ');
-  }
+// Refresh cookie is only sent to /auth/* so it never reaches the business Lambdas
+const buildAccessCookie = (accessToken) => buildCookie('bndy_session', accessToken, ACCESS_TOKEN_TTL_SECONDS);
+const buildRefreshCookie = (refreshToken, maxAgeSeconds) => buildCookie('bndy_refresh', refreshToken, maxAgeSeconds, '/auth');
 
-  const cookies = parseCookies(cookieHeader);
-  const sessionToken = cookies.bndy_session;
+const clearSessionCookies = () => [
+  buildCookie('bndy_session', '', 0),
+  buildCookie('bndy_refresh', '', 0, '/auth')
+];
 
-  console.log('AUTH: Checking authentication', {
-    hasCookieHeader: !!cookieHeader,
-    hasCookiesArray: !!(event.cookies && event.cookies.length > 0),
-    hasSessionToken: !!sessionToken
-  });
+// Session helpers
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-  if (!sessionToken) {
-    console.log('AUTH: No session token found');
-    return { error: 'Not authenticated' };
-  }
+// Refresh token format: <sessionId>.<secret> - only the secret's hash is stored
+const generateRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken) return null;
+  const separatorIndex = refreshToken.indexOf('.');
+  if (separatorIndex <= 0) return null;
+  return {
+    sessionId: refreshToken.substring(0, separatorIndex),
+    secret: refreshToken.substring(separatorIndex + 1)
+  };
+};
+
+// Access token claims are read from the bndy-users record, so role changes apply on the next refresh
+const signAccessToken = (dbUser, sessionId) => jwt.sign({
+  userId: dbUser.cognito_id,
+  username: dbUser.username,
+  email: dbUser.email,
+  role: dbUser.platform_role || 'user',
+  sessionId,
+  issuedAt: Date.now()
+}, JWT_SECRET, {
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+const createSession = async ({ userId, cognitoRefreshToken, event }) => {
+  const sessionId = crypto.randomUUID();
+  const secret = generateRefreshSecret();
+  const now = new Date();
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+
+  await dynamodb.put({
+    TableName: SESSIONS_TABLE,
+    Item: {
+      session_id: sessionId,
+      user_id: userId,
+      refresh_token_hash: hashToken(secret),
+      cognito_refresh_token: cognitoRefreshToken || null,
+      user_agent: event.headers?.['user-agent'] || event.headers?.['User-Agent'] || null,
+      ip_address: event.requestContext?.http?.sourceIp || event.requestContext?.identity?.sourceIp || null,
+      created_at: now.toISOString(),
+      last_used_at: now.toISOString(),
+      expires_at: nowSeconds + SESSION_IDLE_TTL_SECONDS,
+      absolute_expires_at: nowSeconds + SESSION_MAX_AGE_SECONDS
+    }
+  }).promise();
+
+  return { sessionId, refreshToken: `${sessionId}.${secret}` };
+};
+
+const isSessionActive = (session) => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  return !!session &&
+    !session.revoked_at &&
+    session.expires_at > nowSeconds &&
+    session.absolute_expires_at > nowSeconds;
+};
+
+// Revoke the upstream Cognito refresh token too, so it can't mint new Cognito tokens
+const revokeCognitoRefreshToken = async (cognitoRefreshToken) => {
+  if (!cognitoRefreshToken) return;
 
   try {
-    const session = jwt.verify(sessionToken, JWT_SECRET);
-    console.log('AUTH: User authenticated via session', {
-      userId: session.userId.substring(0, 8) + '...'
+    const response = await fetch(`${COGNITO_DOMAIN}/oauth2/revoke`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: 'Basic ' + Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')
+      },
+      body: new URLSearchParams({ token: cognitoRefreshToken, client_id: CLIENT_ID })
     });
-    return { user: session };
+
+    if (!response.ok) {
+      console.error('AUTH: Cognito token revocation failed', { status: response.status });
+    }
   } catch (error) {
-    console.error('AUTH: Invalid session token:', error.message);
-    return { error: 'Invalid session' };
+    console.error('AUTH: Cognito token revocation error:', error.message);
   }
 };
 
-// Route handlers
-const handleGoogleAuth = (event) => {
-  const state = generateState();
+const revokeSession = async (sessionId) => {
+  const result = await dynamodb.update({
+    TableName: SESSIONS_TABLE,
+    Key: { session_id: sessionId },
+    UpdateExpression: 'SET revoked_at = :revokedAt REMOVE cognito_refresh_token',
+    ConditionExpression: 'attribute_exists(session_id)',
+    ExpressionAttributeValues: {
+      ':revokedAt': new Date().toISOString()
+    },
+    ReturnValues: 'ALL_OLD'
+  }).promise();
+
+  await revokeCognitoRefreshToken(result.Attributes?.cognito_refresh_token);
+};
+
+const normaliseEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+const isValidEmail = (email) => !!email && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// Cognito reports email_verified as a boolean or the string 'true' depending on the provider
+const isEmailVerified = (claims) => claims.email_verified === true || claims.email_verified === 'true';
 
-  // Store state with expiry
-  stateStore.set(state, {
-    timestamp: Date.now(),
-    origin: event.headers.referer || FRONTEND_URL
+// HTML response that sets the session cookies and then navigates to the frontend
+const createLoginSuccessResponse = async (event, dbUser, { cognitoRefreshToken = null, returnTo = null } = {}) => {
+  const { sessionId, refreshToken } = await createSession({
+    userId: dbUser.cognito_id,
+    cognitoRefreshToken,
+    event
   });
 
-  cleanupExpiredStates();
+  const accessToken = signAccessToken(dbUser, sessionId);
+
+  const redirectUrl = returnTo || `${FRONTEND_URL}/dashboard`;
+
+  console.log('AUTH: Session created, redirecting', { redirectUrl });
+
+  // Return 200 with HTML+JS redirect for reliable cookie setting
+  const redirectHtml = `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Redirecting...</title>
+</head>
+<body>
+  <p>Authentication successful. Redirecting...</p>
+  <script>
+    window.location.href = ${JSON.stringify(redirectUrl).replace(/</g, '\\u003c')};
+  </script>
+</body>
+</html>`;
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'text/html'
+    },
+    cookies: [
+      buildAccessCookie(accessToken),
+      buildRefreshCookie(refreshToken, SESSION_IDLE_TTL_SECONDS)
+    ],
+    body: redirectHtml
+  };
+};
+
+const redirectToLoginError = (errorCode) => ({
+  statusCode: 302,
+  headers: { Location: `${FRONTEND_URL}/login?error=${encodeURIComponent(errorCode)}` },
+  body: ''
+});
+
+// Route handlers
+const handleProviderAuth = async (event, provider) => {
+  const identityProvider = IDENTITY_PROVIDERS[provider];
+
+  if (!identityProvider) {
+    return createResponse(404, {
+      error: 'Unsupported identity provider',
+      supportedProviders: Object.keys(IDENTITY_PROVIDERS)
+    });
+  }
+
+  const state = generateState();
+  const { returnTo } = event.queryStringParameters || {};
+  const referer = event.headers?.referer || event.headers?.Referer;
+  const nonce = generateNonce();
+  const { codeVerifier, codeChallenge } = generatePkcePair();
+
+  // Store state with expiry, remembering where the user started from
+  await saveOAuthState(state, {
+    origin: referer || FRONTEND_URL,
+    return_to: resolveReturnUrl(returnTo) || resolveReturnUrl(referer),
+    code_verifier: codeVerifier,
+    nonce,
+    provider
+  });
 
   const authUrl = `${COGNITO_DOMAIN}/oauth2/authorize?` +
     `response_type=code&` +
@@ -125,9 +414,13 @@ const handleGoogleAuth = (event) => {
     `redirect_uri=${encodeURIComponent(REDIRECT_URI)}&` +
     `scope=email+openid+profile+phone&` +
     `state=${state}&` +
-    `identity_provider=Google`;
+    `nonce=${nonce}&` +
+    `code_challenge=${codeChallenge}&` +
+    `code_challenge_method=S256&` +
+    `identity_provider=${identityProvider}`;
 
-  console.log('AUTH: Initiating Google OAuth flow', {
+  console.log('AUTH: Initiating OAuth flow', {
+    provider,
     state: state.substring(0, 8) + '...',
     redirectUri: REDIRECT_URI
   });
@@ -153,8 +446,10 @@ const handleOAuthCallback = async (event) => {
   });
 
   try {
-    // Verify state to prevent CSRF
-    if (!state || !stateStore.has(state)) {
+    // Verify state to prevent CSRF (consumed atomically so it can only be used once)
+    const storedState = state ? await consumeOAuthState(state) : null;
+
+    if (!storedState) {
       console.error('AUTH CALLBACK: Invalid or expired state');
       return {
         statusCode: 302,
@@ -163,8 +458,6 @@ const handleOAuthCallback = async (event) => {
       };
     }
 
-    stateStore.delete(state);
-
     if (error) {
       console.error('AUTH CALLBACK: OAuth error:', error);
       return {
@@ -192,6 +485,7 @@ const handleOAuthCallback = async (event) => {
       client_secret: CLIENT_SECRET,
       code: code,
       redirect_uri: REDIRECT_URI,
+      code_verifier: storedState.code_verifier
     });
 
     const tokenResponse = await fetch(`${COGNITO_DOMAIN}/oauth2/token`, {
@@ -201,73 +495,53 @@ const handleOAuthCallback = async (event) => {
     });
 
     const tokenData = await tokenResponse.json();
+
+    if (!tokenResponse.ok) {
+      throw new Error(`Token endpoint returned ${tokenResponse.status}: ${tokenData.error || 'unknown_error'}`);
+    }
+
     const { access_token, id_token, refresh_token } = tokenData;
 
     console.log('AUTH CALLBACK: Token exchange successful');
 
-    // Decode ID token to get user info
-    const decodedIdToken = jwt.decode(id_token);
-    const userId = decodedIdToken.sub;
-    const email = decodedIdToken.email;
-    const username = decodedIdToken['cognito:username'];
+    // Verify ID token before trusting any of its claims
+    let idTokenClaims;
+    try {
+      idTokenClaims = await verifyIdToken(id_token, storedState.nonce);
+    } catch (verifyError) {
+      console.error('AUTH CALLBACK: ID token verification failed:', verifyError.message);
+      return {
+        statusCode: 302,
+        headers: { Location: `${FRONTEND_URL}/login?error=invalid_id_token` },
+        body: ''
+      };
+    }
+
+    const userId = idTokenClaims.sub;
+    const email = idTokenClaims.email;
+    const username = idTokenClaims['cognito:username'];
 
     console.log('AUTH CALLBACK: User authenticated', {
+      provider: storedState.provider,
       userId: userId.substring(0, 8) + '...',
       email: email ? email.substring(0, 3) + '***' : 'N/A',
       username
     });
 
-    // Create or update user in DynamoDB
-    await createOrUpdateUser({
-      cognitoId: userId,
+    // Create, update or link the user in DynamoDB
+    const dbUser = await createOrUpdateUser({
+      identityId: userId,
+      provider: storedState.provider || 'google',
       email,
+      emailVerified: isEmailVerified(idTokenClaims),
       username
     });
 
-    // Create lightweight session
-    const sessionData = {
-      userId,
-      username,
-      email,
-      issuedAt: Date.now()
-    };
-
-    const sessionToken = jwt.sign(sessionData, JWT_SECRET, {
-      expiresIn: '7d'
+    return await createLoginSuccessResponse(event, dbUser, {
+      cognitoRefreshToken: refresh_token,
+      returnTo: storedState.return_to
     });
 
-    // Create secure cookie
-    const cookieOptions = 'bndy_session=' + sessionToken + '; ' +
-      'HttpOnly; Secure; SameSite=Lax; ' +
-      'Max-Age=604800; Path=/; ' +
-      'Domain=.bndy.co.uk';
-
-    console.log('AUTH CALLBACK: Session created, redirecting to dashboard');
-
-    // Return 200 with HTML+JS redirect for reliable cookie setting
-    const redirectHtml = `
-<!DOCTYPE html>
-<html>
-<head>
-  <title>Redirecting...</title>
-</head>
-<body>
-  <p>Authentication successful. Redirecting...</p>
-  <script>
-    window.location.href = '${FRONTEND_URL}/dashboard';
-  </script>
-</body>
-</html>`;
-
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'text/html',
-        'Set-Cookie': cookieOptions
-      },
-      body: redirectHtml
-    };
-
   } catch (error) {
     console.error('AUTH CALLBACK: Token exchange failed:', error.message);
     return {
@@ -278,6 +552,37 @@ const handleOAuthCallback = async (event) => {
   }
 };
 
+// Active artist memberships for /api/me, with membership profile fields resolved against the user profile
+const getUserBands = async (dbUser) => {
+  const memberships = await getUserMemberships(dbUser.cognito_id);
+
+  if (memberships.length === 0) {
+    return [];
+  }
+
+  const artists = await getArtistsByIds(memberships.map(m => m.artist_id));
+
+  return memberships.map(membership => {
+    const artist = artists.get(membership.artist_id);
+
+    return {
+      membershipId: membership.membership_id,
+      artistId: membership.artist_id,
+      name: artist?.name || 'Unknown Artist',
+      artistType: artist?.artist_type || 'band',
+      profileImageUrl: artist?.profileImageUrl || null,
+      role: membership.role,
+      permissions: membership.permissions || [],
+      displayName: membership.display_name || dbUser.display_name || dbUser.username,
+      avatarUrl: membership.avatar_url || dbUser.avatar_url || dbUser.oauth_profile_picture || null,
+      instrument: membership.instrument || dbUser.instrument || null,
+      icon: membership.icon || null,
+      color: membership.color || null,
+      joinedAt: membership.joined_at
+    };
+  });
+};
+
 const handleGetMe = async (event) => {
   const authResult = requireAuth(event);
 
@@ -304,11 +609,14 @@ const handleGetMe = async (event) => {
     const dbUser = userResult.Item;
     console.log('API: User found in DynamoDB');
 
+    const bands = await getUserBands(dbUser);
+
     const responseData = {
       user: {
         id: dbUser.user_id,
         cognitoId: dbUser.cognito_id,
         username: dbUser.username || user.username,
+        handle: dbUser.handle || null,
         email: dbUser.email || user.email,
         firstName: dbUser.first_name || null,
         lastName: dbUser.last_name || null,
@@ -316,10 +624,13 @@ const handleGetMe = async (event) => {
         avatarUrl: dbUser.avatar_url || null,
         instrument: dbUser.instrument || null,
         profileCompleted: dbUser.profile_complete || false,
+        role: dbUser.platform_role || 'user',
+        deletionScheduledFor: dbUser.deletion_scheduled_for || null,
         createdAt: dbUser.created_at
       },
-      bands: [], // Empty array for now - TODO: Implement artist memberships
+      bands,
       session: {
+        id: user.sessionId || null,
         issuedAt: user.issuedAt,
         expiresAt: user.exp * 1000
       }
@@ -333,78 +644,516 @@ const handleGetMe = async (event) => {
   }
 };
 
-const handleLogout = (event) => {
+// The active session a parsed refresh token belongs to, or null if the secret doesn't match
+const getRefreshSession = async (parsed) => {
+  const sessionResult = await dynamodb.get({
+    TableName: SESSIONS_TABLE,
+    Key: { session_id: parsed.sessionId }
+  }).promise();
+
+  const session = sessionResult.Item;
+  const presentedHash = Buffer.from(hashToken(parsed.secret));
+
+  if (!isSessionActive(session) ||
+    !crypto.timingSafeEqual(presentedHash, Buffer.from(session.refresh_token_hash))) {
+    return null;
+  }
+
+  return session;
+};
+
+// Exchange the refresh cookie for a new access cookie (sliding expiry, rotating secret)
+const handleRefresh = async (event) => {
+  const cookies = getEventCookies(event);
+  const parsed = parseRefreshToken(cookies.bndy_refresh);
+
+  if (!parsed) {
+    return createResponse(401, { error: 'Not authenticated' }, clearSessionCookies());
+  }
+
+  try {
+    const session = await getRefreshSession(parsed);
+
+    if (!session) {
+      console.log('AUTH: Refresh rejected - session inactive or token mismatch');
+      return createResponse(401, { error: 'Invalid session' }, clearSessionCookies());
+    }
+
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: session.user_id }
+    }).promise();
+
+    if (!userResult.Item) {
+      return createResponse(401, { error: 'User not found' }, clearSessionCookies());
+    }
+
+    // Rotate the refresh secret and slide the idle expiry (capped by absolute expiry)
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const expiresAt = Math.min(nowSeconds + SESSION_IDLE_TTL_SECONDS, session.absolute_expires_at);
+    const newSecret = generateRefreshSecret();
+
+    await dynamodb.update({
+      TableName: SESSIONS_TABLE,
+      Key: { session_id: session.session_id },
+      UpdateExpression: 'SET refresh_token_hash = :newHash, expires_at = :expiresAt, last_used_at = :lastUsedAt',
+      ConditionExpression: 'refresh_token_hash = :oldHash AND attribute_not_exists(revoked_at)',
+      ExpressionAttributeValues: {
+        ':newHash': hashToken(newSecret),
+        ':oldHash': session.refresh_token_hash,
+        ':expiresAt': expiresAt,
+        ':lastUsedAt': new Date().toISOString()
+      }
+    }).promise();
+
+    const dbUser = userResult.Item;
+    const accessToken = signAccessToken(dbUser, session.session_id);
+
+    console.log('AUTH: Session refreshed', { sessionId: session.session_id.substring(0, 8) + '...' });
+
+    return createResponse(200, {
+      success: true,
+      session: {
+        id: session.session_id,
+        expiresAt: (nowSeconds + ACCESS_TOKEN_TTL_SECONDS) * 1000
+      }
+    }, [
+      buildAccessCookie(accessToken),
+      buildRefreshCookie(`${session.session_id}.${newSecret}`, expiresAt - nowSeconds)
+    ]);
+
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      // Lost a race with a concurrent refresh or a revocation
+      return createResponse(401, { error: 'Invalid session' }, clearSessionCookies());
+    }
+    console.error('AUTH: Refresh error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+const handleLogout = async (event) => {
   console.log('AUTH: User logging out');
 
-  const clearCookie = 'bndy_session=; HttpOnly; Secure; SameSite=Lax; Max-Age=0; Path=/; Domain=.bndy.co.uk';
+  try {
+    // Prefer the refresh cookie - only if its secret matches, so a bare session id can't
+    // log someone else out; fall back to the session id inside a still-valid access token
+    const parsed = parseRefreshToken(getEventCookies(event).bndy_refresh);
+    const refreshSession = parsed ? await getRefreshSession(parsed) : null;
+    const sessionId = refreshSession?.session_id || requireAuth(event).user?.sessionId;
+
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+  } catch (error) {
+    // Still clear cookies - the user asked to log out
+    console.error('AUTH: Failed to revoke session on logout:', error.message);
+  }
+
+  return createResponse(200, { success: true }, clearSessionCookies());
+};
+
+// List the caller's active sessions (devices)
+const handleListSessions = async (event) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    const sessions = [];
+    let lastEvaluatedKey;
+
+    do {
+      const result = await dynamodb.query({
+        TableName: SESSIONS_TABLE,
+        IndexName: 'user_id-index',
+        KeyConditionExpression: 'user_id = :userId',
+        ExpressionAttributeValues: {
+          ':userId': user.userId
+        },
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+
+      sessions.push(...result.Items);
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    const activeSessions = sessions
+      .filter(isSessionActive)
+      .sort((a, b) => b.last_used_at.localeCompare(a.last_used_at))
+      .map(session => ({
+        id: session.session_id,
+        current: session.session_id === user.sessionId,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at * 1000
+      }));
+
+    return createResponse(200, { sessions: activeSessions, count: activeSessions.length });
+
+  } catch (error) {
+    console.error('AUTH: List sessions error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Revoke one of the caller's sessions (e.g. a lost device)
+const handleRevokeSession = async (event, sessionId) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    const sessionResult = await dynamodb.get({
+      TableName: SESSIONS_TABLE,
+      Key: { session_id: sessionId }
+    }).promise();
+
+    // Don't reveal other users' session ids
+    if (!sessionResult.Item || sessionResult.Item.user_id !== user.userId) {
+      return createResponse(404, { error: 'Session not found' });
+    }
+
+    await revokeSession(sessionId);
+
+    console.log('AUTH: Session revoked', { sessionId: sessionId.substring(0, 8) + '...' });
+
+    // Revoking the current session also logs this device out
+    const cookies = sessionId === user.sessionId ? clearSessionCookies() : null;
+
+    return createResponse(200, { success: true, sessionId }, cookies);
+
+  } catch (error) {
+    console.error('AUTH: Revoke session error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Start a passwordless login: email a single-use link (always 202 so addresses can't be enumerated)
+const handleRequestMagicLink = async (event) => {
+  try {
+    const { email, returnTo } = JSON.parse(event.body || '{}');
+    const emailLower = normaliseEmail(email);
+
+    if (!isValidEmail(emailLower)) {
+      return createResponse(400, { error: 'A valid email address is required' });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const nowSeconds = Math.floor(Date.now() / 1000);
+
+    await dynamodb.put({
+      TableName: MAGIC_LINKS_TABLE,
+      Item: {
+        token_hash: hashToken(token),
+        email: emailLower,
+        return_to: resolveReturnUrl(returnTo),
+        created_at: new Date().toISOString(),
+        expires_at: nowSeconds + MAGIC_LINK_TTL_SECONDS
+      }
+    }).promise();
+
+    const magicLinkUrl = `${API_URL}/auth/magic-link/verify?token=${token}`;
+
+    await sendEmail({
+      to: emailLower,
+      subject: 'Your BNDY sign-in link',
+      text: `Use this link to sign in to BNDY:\n\n${magicLinkUrl}\n\n` +
+        `The link expires in ${MAGIC_LINK_TTL_SECONDS / 60} minutes and can only be used once. ` +
+        'If you did not request it, you can ignore this email.'
+    });
+
+    console.log('AUTH: Magic link sent', { email: emailLower.substring(0, 3) + '***' });
+
+    return createResponse(202, { success: true });
+
+  } catch (error) {
+    console.error('AUTH: Magic link request error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Email clients and link scanners prefetch GET links, so the GET only renders a page that POSTs the token back
+const handleMagicLinkLanding = (event) => {
+  const { token } = event.queryStringParameters || {};
+
+  if (!token) {
+    return redirectToLoginError('invalid_magic_link');
+  }
+
+  const landingHtml = `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>Signing in...</title>
+</head>
+<body>
+  <form id="magic-link" method="POST" action="${API_URL}/auth/magic-link/verify">
+    <input type="hidden" name="token" value="${encodeURIComponent(token)}">
+    <noscript><button type="submit">Continue to BNDY</button></noscript>
+  </form>
+  <script>
+    document.getElementById('magic-link').submit();
+  </script>
+</body>
+</html>`;
 
   return {
     statusCode: 200,
-    headers: {
-      'Content-Type': 'application/json',
-      'Set-Cookie': clearCookie,
-      ...corsHeaders
-    },
-    body: JSON.stringify({ success: true })
+    headers: { 'Content-Type': 'text/html' },
+    body: landingHtml
   };
 };
 
-// Helper function to create or update user in DynamoDB
-const createOrUpdateUser = async (userData) => {
-  const { cognitoId, email, username } = userData;
+const handleVerifyMagicLink = async (event) => {
+  try {
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+    const token = new URLSearchParams(rawBody).get('token');
+
+    if (!token) {
+      return redirectToLoginError('invalid_magic_link');
+    }
+
+    // Single-use: delete the link as we read it
+    let magicLink = null;
+    try {
+      const result = await dynamodb.delete({
+        TableName: MAGIC_LINKS_TABLE,
+        Key: { token_hash: hashToken(decodeURIComponent(token)) },
+        ConditionExpression: 'attribute_exists(token_hash) AND expires_at > :now',
+        ExpressionAttributeValues: { ':now': Math.floor(Date.now() / 1000) },
+        ReturnValues: 'ALL_OLD'
+      }).promise();
+      magicLink = result.Attributes;
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+    }
 
+    if (!magicLink) {
+      console.error('AUTH: Invalid or expired magic link');
+      return redirectToLoginError('invalid_magic_link');
+    }
+
+    // Possession of the link proves ownership of the address
+    const dbUser = await createOrUpdateUser({
+      identityId: `email:${magicLink.email}`,
+      provider: 'email',
+      email: magicLink.email,
+      emailVerified: true,
+      username: null
+    });
+
+    return await createLoginSuccessResponse(event, dbUser, { returnTo: magicLink.return_to });
+
+  } catch (error) {
+    console.error('AUTH: Magic link verification error:', error);
+    return redirectToLoginError('magic_link_failed');
+  }
+};
+
+// Identity lookup helpers
+const getUserByCognitoId = async (cognitoId) => {
+  const result = await dynamodb.get({
+    TableName: USERS_TABLE,
+    Key: { cognito_id: cognitoId }
+  }).promise();
+  return result.Item || null;
+};
+
+const findUserByEmail = async (emailLower) => {
+  const result = await dynamodb.query({
+    TableName: USERS_TABLE,
+    IndexName: 'email_lower-index',
+    KeyConditionExpression: 'email_lower = :email',
+    ExpressionAttributeValues: { ':email': emailLower }
+  }).promise();
+
+  // Oldest record wins if legacy duplicates exist
+  const [oldest] = result.Items.sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+  return oldest || null;
+};
+
+const putIdentityMapping = async (identity, userCognitoId) => {
   try {
-    // Check if user exists
-    const existingUser = await dynamodb.get({
-      TableName: USERS_TABLE,
-      Key: { cognito_id: cognitoId }
+    await dynamodb.put({
+      TableName: IDENTITIES_TABLE,
+      Item: {
+        identity_id: identity.identity_id,
+        provider: identity.provider,
+        user_cognito_id: userCognitoId,
+        linked_at: identity.linked_at
+      },
+      ConditionExpression: 'attribute_not_exists(identity_id)'
     }).promise();
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+  }
+};
+
+// Helper function to create or update user in DynamoDB.
+// Every login identity (Google, Apple, Facebook, email) resolves to one bndy-users record:
+// the record's cognito_id stays the user's id everywhere else, and additional identities
+// are linked to it by verified email via bndy-user-identities. Linking needs the email to be
+// verified on both sides - the new identity's and the stored record's (email_verified) - so
+// an unverified sign-up can't pre-claim someone else's address.
+const createOrUpdateUser = async (identityData) => {
+  const { identityId, provider, email, emailVerified, username } = identityData;
+  const emailLower = normaliseEmail(email);
+  const now = new Date().toISOString();
+
+  const identity = {
+    provider,
+    identity_id: identityId,
+    cognito_username: username || null,
+    linked_at: now
+  };
 
-    if (existingUser.Item) {
+  try {
+    // 1. Identity is the record's own primary identity
+    const primaryUser = await getUserByCognitoId(identityId);
+
+    if (primaryUser) {
       console.log('DB: User exists, updating');
 
-      // Update existing user
-      await dynamodb.update({
+      const resolvedUsername = username || primaryUser.username || null;
+      const nameLowerUpdate = buildUserNameLowerUpdate({ ...primaryUser, username: resolvedUsername });
+
+      const updateResult = await dynamodb.update({
         TableName: USERS_TABLE,
-        Key: { cognito_id: cognitoId },
-        UpdateExpression: 'SET email = :email, username = :username, updated_at = :updatedAt',
+        Key: { cognito_id: identityId },
+        UpdateExpression: 'SET email = :email, email_lower = :emailLower, email_verified = :emailVerified, ' +
+          'username = :username, identities = if_not_exists(identities, :identities), record_type = :recordType, ' +
+          `last_login_at = :now, updated_at = :now${nameLowerUpdate.set}${nameLowerUpdate.remove}`,
         ExpressionAttributeValues: {
-          ':email': email,
-          ':username': username,
-          ':updatedAt': new Date().toISOString()
-        }
+          ':email': email || primaryUser.email || null,
+          ':emailLower': emailLower || normaliseEmail(primaryUser.email),
+          // Verification belongs to the address - a login without one keeps the stored flag
+          ':emailVerified': email ? !!emailVerified : !!primaryUser.email_verified,
+          ':username': resolvedUsername,
+          ':identities': [identity],
+          ':recordType': USER_RECORD_TYPE,
+          ':now': now,
+          ...nameLowerUpdate.values
+        },
+        ReturnValues: 'ALL_NEW'
       }).promise();
-    } else {
-      console.log('DB: Creating new user');
 
-      // Generate new user ID
-      const userId = crypto.randomUUID();
+      return updateResult.Attributes;
+    }
 
-      // Create new user with profile incomplete
-      await dynamodb.put({
-        TableName: USERS_TABLE,
-        Item: {
-          cognito_id: cognitoId,
-          user_id: userId,
-          email,
-          username,
-          first_name: null,
-          last_name: null,
-          display_name: null,
-          avatar_url: null,
-          instrument: null,
-          profile_complete: false,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        }
-      }).promise();
+    // 2. Identity was linked to another record previously
+    const mappingResult = await dynamodb.get({
+      TableName: IDENTITIES_TABLE,
+      Key: { identity_id: identityId }
+    }).promise();
+
+    if (mappingResult.Item) {
+      const linkedUser = await getUserByCognitoId(mappingResult.Item.user_cognito_id);
+
+      if (linkedUser) {
+        console.log('DB: Linked identity login', { provider });
+        await dynamodb.update({
+          TableName: USERS_TABLE,
+          Key: { cognito_id: linkedUser.cognito_id },
+          UpdateExpression: 'SET last_login_at = :now',
+          ExpressionAttributeValues: { ':now': now }
+        }).promise();
+        return linkedUser;
+      }
     }
+
+    // 3. New identity with a verified email matching an existing user whose email is verified
+    // too - link it. An unverified match gets a separate account instead of a takeover path.
+    if (emailLower && emailVerified) {
+      const existingUser = await findUserByEmail(emailLower);
+
+      if (existingUser && existingUser.email_verified !== true) {
+        console.log('DB: Existing user email not verified, not linking', { provider });
+      }
+
+      if (existingUser && existingUser.email_verified === true) {
+        console.log('DB: Linking new identity to existing user by verified email', { provider });
+
+        await putIdentityMapping(identity, existingUser.cognito_id);
+
+        const updateResult = await dynamodb.update({
+          TableName: USERS_TABLE,
+          Key: { cognito_id: existingUser.cognito_id },
+          UpdateExpression: 'SET identities = list_append(if_not_exists(identities, :empty), :identity), ' +
+            'last_login_at = :now, updated_at = :now',
+          ExpressionAttributeValues: {
+            ':empty': [],
+            ':identity': [identity],
+            ':now': now
+          },
+          ReturnValues: 'ALL_NEW'
+        }).promise();
+
+        return updateResult.Attributes;
+      }
+    }
+
+    // 4. Brand new user
+    console.log('DB: Creating new user', { provider });
+
+    // Email-only users have no Cognito identity, so they get a synthetic primary key
+    const cognitoId = provider === 'email' ? `email_${crypto.randomUUID()}` : identityId;
+
+    const nameLower = buildUserNameLower({ username });
+
+    const newUser = {
+      cognito_id: cognitoId,
+      user_id: crypto.randomUUID(),
+      email: email || null,
+      email_lower: emailLower,
+      email_verified: !!(email && emailVerified),
+      username: username || null,
+      identities: [identity],
+      first_name: null,
+      last_name: null,
+      display_name: null,
+      avatar_url: null,
+      instrument: null,
+      profile_complete: false,
+      platform_role: 'user',
+      record_type: USER_RECORD_TYPE,
+      ...(nameLower && { name_lower: nameLower }),
+      last_login_at: now,
+      created_at: now,
+      updated_at: now
+    };
+
+    // Create new user with profile incomplete
+    await dynamodb.put({
+      TableName: USERS_TABLE,
+      Item: newUser
+    }).promise();
+
+    if (cognitoId !== identityId) {
+      await putIdentityMapping(identity, cognitoId);
+    }
+
+    return newUser;
+
   } catch (error) {
     console.error('DB: Error creating/updating user:', error);
     throw error;
   }
 };
 
+// Exported for tests
+exports.verifyIdToken = verifyIdToken;
+
 // Main handler
 exports.handler = async (event, context) => {
   // Support both HTTP API v2 and REST API v1 event formats
@@ -430,20 +1179,47 @@ exports.handler = async (event, context) => {
 
   try {
     // Route requests using routeKey
-    if (routeKey === 'GET /auth/google') {
-      return handleGoogleAuth(event);
-    }
-
     if (routeKey === 'GET /auth/callback') {
       return await handleOAuthCallback(event);
     }
 
+    if (routeKey === 'POST /auth/magic-link') {
+      return await handleRequestMagicLink(event);
+    }
+
+    if (routeKey === 'GET /auth/magic-link/verify') {
+      return handleMagicLinkLanding(event);
+    }
+
+    if (routeKey === 'POST /auth/magic-link/verify') {
+      return await handleVerifyMagicLink(event);
+    }
+
     if (routeKey === 'GET /api/me') {
       return await handleGetMe(event);
     }
 
+    if (routeKey === 'POST /auth/refresh') {
+      return await handleRefresh(event);
+    }
+
     if (routeKey === 'POST /auth/logout') {
-      return handleLogout(event);
+      return await handleLogout(event);
+    }
+
+    if (routeKey === 'GET /auth/sessions') {
+      return await handleListSessions(event);
+    }
+
+    if (method === 'DELETE' && path.startsWith('/auth/sessions/')) {
+      const sessionId = event.pathParameters?.id || path.substring('/auth/sessions/'.length);
+      return await handleRevokeSession(event, sessionId);
+    }
+
+    // GET /auth/{provider} - matched last so the static /auth/* routes above win
+    const providerMatch = method === 'GET' && path.match(/^\/auth\/([a-z]+)$/);
+    if (providerMatch) {
+      return await handleProviderAuth(event, event.pathParameters?.provider || providerMatch[1]);
     }
 
     // Route not found
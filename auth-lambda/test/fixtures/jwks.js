@@ -0,0 +1,42 @@
+// JWKS fixture - a throwaway Cognito-style signing key written to a temp file for
+// COGNITO_JWKS_FILE, plus a helper that signs ID tokens with it
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const USER_POOL_ID = 'eu-west-2_TestPool1';
+const CLIENT_ID = 'test-client-id';
+const ISSUER = `https://cognito-idp.eu-west-2.amazonaws.com/${USER_POOL_ID}`;
+const KEY_ID = 'test-key-1';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const JWKS_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bndy-jwks-')), 'jwks.json');
+fs.writeFileSync(JWKS_FILE, JSON.stringify({
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }]
+}));
+
+// A valid ID token unless claims / options override it
+const signIdToken = (claims = {}, { key = privateKey, keyId = KEY_ID, expiresIn = '1h' } = {}) => jwt.sign(
+  {
+    sub: 'cognito-sub-1',
+    email: 'user@example.com',
+    token_use: 'id',
+    nonce: 'nonce-1',
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    ...claims
+  },
+  key,
+  { algorithm: 'RS256', keyid: keyId, ...(expiresIn !== null && { expiresIn }) }
+);
+
+module.exports = {
+  USER_POOL_ID,
+  CLIENT_ID,
+  ISSUER,
+  JWKS_FILE,
+  signIdToken
+};
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { USER_POOL_ID, CLIENT_ID, JWKS_FILE, signIdToken } = require('./fixtures/jwks');
+
+// The handler reads its Cognito configuration when it is loaded
+process.env.COGNITO_USER_POOL_ID = USER_POOL_ID;
+process.env.COGNITO_USER_POOL_CLIENT_ID = CLIENT_ID;
+process.env.COGNITO_JWKS_FILE = JWKS_FILE;
+
+const { verifyIdToken } = require('../handler');
+
+test('accepts a valid ID token and returns its claims', async () => {
+  const claims = await verifyIdToken(signIdToken(), 'nonce-1');
+
+  assert.equal(claims.sub, 'cognito-sub-1');
+  assert.equal(claims.email, 'user@example.com');
+});
+
+test('rejects a token signed by a different key', async () => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  await assert.rejects(verifyIdToken(signIdToken({}, { key: privateKey }), 'nonce-1'), /invalid signature/);
+});
+
+test('rejects a token signed with an unknown key id', async () => {
+  await assert.rejects(verifyIdToken(signIdToken({}, { keyId: 'other-key' }), 'nonce-1'), /unknown key/);
+});
+
+test('rejects a token for another audience', async () => {
+  await assert.rejects(verifyIdToken(signIdToken({ aud: 'another-client' }), 'nonce-1'), /audience invalid/);
+});
+
+test('rejects a token from another issuer', async () => {
+  const token = signIdToken({ iss: 'https://cognito-idp.eu-west-2.amazonaws.com/eu-west-2_Other' });
+
+  await assert.rejects(verifyIdToken(token, 'nonce-1'), /issuer invalid/);
+});
+
+test('rejects an expired token', async () => {
+  const token = signIdToken({ exp: Math.floor(Date.now() / 1000) - 60 }, { expiresIn: null });
+
+  await assert.rejects(verifyIdToken(token, 'nonce-1'), jwt.TokenExpiredError);
+});
+
+test('rejects a token whose nonce does not match the login', async () => {
+  await assert.rejects(verifyIdToken(signIdToken(), 'nonce-2'), /nonce mismatch/);
+});
+
+test('rejects a token when no nonce is expected', async () => {
+  await assert.rejects(verifyIdToken(signIdToken({ nonce: undefined }), undefined), /nonce mismatch/);
+});
+
+test('rejects an access token', async () => {
+  await assert.rejects(verifyIdToken(signIdToken({ token_use: 'access' }), 'nonce-1'), /not an ID token/);
+});
+
+test('rejects a malformed token', async () => {
+  await assert.rejects(verifyIdToken('not-a-jwt', 'nonce-1'), /Malformed ID token/);
+});
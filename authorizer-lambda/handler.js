@@ -0,0 +1,86 @@
+// BNDY Authorizer Lambda Function - HTTP API Lambda Authorizer
+// Validates bndy_session (cookie or Authorization: Bearer) before protected routes
+// reach their business Lambda, and passes the user context through
+// event.requestContext.authorizer.lambda (payload format 2.0, simple responses)
+
+const crypto = require('crypto');
+const { getSessionToken, verifySession } = require('bndy-shared');
+
+// Decision cache (module scope - survives across warm invocations).
+// API Gateway's own cache needs a mandatory identity source, which would rule out
+// supporting both the cookie and the Bearer header, so decisions are cached here instead.
+const CACHE_TTL_MS = 60 * 1000; // 1 minute
+const MAX_CACHE_ENTRIES = 1000;
+const decisionCache = new Map();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getCachedDecision = (cacheKey) => {
+  const cached = decisionCache.get(cacheKey);
+  if (!cached) return null;
+
+  if (cached.expiresAt <= Date.now()) {
+    decisionCache.delete(cacheKey);
+    return null;
+  }
+  return cached.context;
+};
+
+const cacheDecision = (cacheKey, context, tokenExpiresAt) => {
+  // Map keeps insertion order, so the first key is the oldest entry
+  if (decisionCache.size >= MAX_CACHE_ENTRIES) {
+    decisionCache.delete(decisionCache.keys().next().value);
+  }
+
+  decisionCache.set(cacheKey, {
+    context,
+    // Never cache past the token's own expiry
+    expiresAt: Math.min(Date.now() + CACHE_TTL_MS, tokenExpiresAt)
+  });
+};
+
+// Context values must be flat (strings, numbers, booleans)
+const buildContext = (session) => ({
+  userId: session.userId,
+  email: session.email || '',
+  username: session.username || '',
+  sessionId: session.sessionId || '',
+  role: session.role || 'user',
+  issuedAt: session.issuedAt || 0,
+  exp: session.exp
+});
+
+exports.handler = async (event) => {
+  const { token, source } = getSessionToken(event);
+
+  if (!token) {
+    console.log('AUTHORIZER: No session token', { routeKey: event.routeKey });
+    return { isAuthorized: false };
+  }
+
+  const cacheKey = hashToken(token);
+  const cachedContext = getCachedDecision(cacheKey);
+
+  if (cachedContext) {
+    return { isAuthorized: true, context: cachedContext };
+  }
+
+  try {
+    const session = verifySession(token);
+    const context = buildContext(session);
+
+    cacheDecision(cacheKey, context, session.exp * 1000);
+
+    console.log('AUTHORIZER: Authorized', {
+      source,
+      routeKey: event.routeKey,
+      userId: session.userId.substring(0, 8) + '...'
+    });
+
+    return { isAuthorized: true, context };
+
+  } catch (error) {
+    console.log('AUTHORIZER: Rejected', { routeKey: event.routeKey, reason: error.message });
+    return { isAuthorized: false };
+  }
+};
@@ -0,0 +1,64 @@
+// Backfill bndy-artists for GET /api/artists pagination and search
+// Sets record_type (record_type-name_lower-index partition key), name_lower, location_lower
+// and genres_lower on every artist that isn't deleted. Safe to re-run.
+const AWS = require('aws-sdk');
+const { buildArtistIndexFields } = require('./shared/artists');
+
+AWS.config.update({ region: 'eu-west-2' });
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+async function backfillArtistDirectory() {
+  console.log('🎵 Backfilling artist directory fields...');
+
+  try {
+    let lastEvaluatedKey;
+    let scanned = 0;
+    let updated = 0;
+
+    do {
+      const result = await dynamodb.scan({
+        TableName: 'bndy-artists',
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+
+      for (const artist of result.Items) {
+        scanned++;
+
+        // Deleted artists stay out of the directory until restored
+        if (artist.deleted_at) continue;
+
+        const indexFields = buildArtistIndexFields(artist);
+        const fields = Object.keys(indexFields);
+
+        if (fields.every(field => JSON.stringify(artist[field]) === JSON.stringify(indexFields[field]))) {
+          continue;
+        }
+
+        if (!indexFields.name_lower) {
+          console.warn(`⚠️ Artist ${artist.id} has no name and will not be listed`);
+        }
+
+        await dynamodb.update({
+          TableName: 'bndy-artists',
+          Key: { id: artist.id },
+          UpdateExpression: 'SET ' + fields.map(field => `${field} = :${field}`).join(', '),
+          ExpressionAttributeValues: Object.fromEntries(fields.map(field => [`:${field}`, indexFields[field]]))
+        }).promise();
+        updated++;
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      console.log(`✅ Scanned ${scanned} artists, updated ${updated}`);
+
+      // Small delay to avoid throttling
+      await new Promise(resolve => setTimeout(resolve, 100));
+    } while (lastEvaluatedKey);
+
+    console.log('🎉 Artist directory backfill complete!');
+
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+  }
+}
+
+backfillArtistDirectory();
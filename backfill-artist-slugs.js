@@ -0,0 +1,66 @@
+// Backfill bndy-artist-slugs for artists created before slugs existed
+// Gives every artist without a slug the first free candidate from its name. Safe to re-run.
+const AWS = require('aws-sdk');
+const { buildSlugCandidates, buildSlugChangeItems } = require('./shared/artist-slugs');
+
+AWS.config.update({ region: 'eu-west-2' });
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+async function assignSlug(artist) {
+  for (const slug of buildSlugCandidates(artist.name)) {
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: buildSlugChangeItems({ artistId: artist.id, slug })
+      }).promise();
+      return slug;
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException') throw error;
+    }
+  }
+  return null;
+}
+
+async function backfillArtistSlugs() {
+  console.log('🎵 Backfilling artist slugs...');
+
+  try {
+    let lastEvaluatedKey;
+    let scanned = 0;
+    let assigned = 0;
+
+    do {
+      const result = await dynamodb.scan({
+        TableName: 'bndy-artists',
+        ProjectionExpression: 'id, #name, slug',
+        ExpressionAttributeNames: { '#name': 'name' },
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+
+      for (const artist of result.Items) {
+        scanned++;
+        if (artist.slug) continue;
+
+        const slug = await assignSlug(artist);
+        if (slug) {
+          console.log(`🎵 ${artist.id}: ${slug}`);
+          assigned++;
+        } else {
+          console.warn(`⚠️ No free slug for artist ${artist.id} (${artist.name})`);
+        }
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      console.log(`✅ Scanned ${scanned} artists, assigned ${assigned} slugs`);
+
+      // Small delay to avoid throttling
+      await new Promise(resolve => setTimeout(resolve, 100));
+    } while (lastEvaluatedKey);
+
+    console.log('🎉 Artist slug backfill complete!');
+
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+  }
+}
+
+backfillArtistSlugs();
@@ -0,0 +1,70 @@
+// Backfill bndy-users for GET /users pagination and search
+// Sets record_type (record_type-created_at-index and record_type-name_lower-index partition
+// key), name_lower (name search), email_lower (email_lower-index, used for identity linking and
+// admin email search) and a created_at for legacy records missing one, and drops the old
+// search_text. email_verified is not backfilled - it is set from the provider on
+// the user's next login, and identities only link to verified records. Safe to re-run.
+const AWS = require('aws-sdk');
+const { USER_RECORD_TYPE, buildUserNameLower, buildUserNameLowerUpdate } = require('./shared/users');
+
+AWS.config.update({ region: 'eu-west-2' });
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+async function backfillUserSearch() {
+  console.log('👤 Backfilling user search fields...');
+
+  try {
+    let lastEvaluatedKey;
+    let scanned = 0;
+    let updated = 0;
+
+    do {
+      const result = await dynamodb.scan({
+        TableName: 'bndy-users',
+        ExclusiveStartKey: lastEvaluatedKey
+      }).promise();
+
+      for (const user of result.Items) {
+        scanned++;
+
+        const createdAt = user.created_at || user.updated_at || new Date().toISOString();
+        const emailLower = user.email ? String(user.email).trim().toLowerCase() : null;
+
+        if (user.record_type === USER_RECORD_TYPE && (user.name_lower || null) === buildUserNameLower(user) &&
+          !('search_text' in user) && user.created_at && (!emailLower || user.email_lower === emailLower)) {
+          continue;
+        }
+
+        // Index keys can't be empty, so users without an email get no email_lower
+        const nameLowerUpdate = buildUserNameLowerUpdate(user);
+        await dynamodb.update({
+          TableName: 'bndy-users',
+          Key: { cognito_id: user.cognito_id },
+          UpdateExpression: 'SET record_type = :recordType, created_at = :createdAt' +
+            (emailLower ? ', email_lower = :emailLower' : '') + nameLowerUpdate.set +
+            (nameLowerUpdate.remove ? `${nameLowerUpdate.remove}, search_text` : ' REMOVE search_text'),
+          ExpressionAttributeValues: {
+            ':recordType': USER_RECORD_TYPE,
+            ':createdAt': createdAt,
+            ...(emailLower && { ':emailLower': emailLower }),
+            ...nameLowerUpdate.values
+          }
+        }).promise();
+        updated++;
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+      console.log(`✅ Scanned ${scanned} users, updated ${updated}`);
+
+      // Small delay to avoid throttling
+      await new Promise(resolve => setTimeout(resolve, 100));
+    } while (lastEvaluatedKey);
+
+    console.log('🎉 User search backfill complete!');
+
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+  }
+}
+
+backfillUserSearch();
@@ -2,10 +2,42 @@
 const AWS = require('aws-sdk');
 const fs = require('fs');
 const path = require('path');
+const { buildArtistIndexFields } = require('./shared/artists');
+const { buildSlugCandidates, buildSlugChangeItems } = require('./shared/artist-slugs');
 
 AWS.config.update({ region: 'eu-west-2' });
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 
+// Writes the artist together with its slug, as artist creation does. A re-import keeps the
+// artist's current slug; a taken slug cancels the transaction, so fall through the candidates.
+async function importArtist(item) {
+  const existing = await dynamodb.get({
+    TableName: 'bndy-artists',
+    Key: { id: item.id },
+    ProjectionExpression: 'slug'
+  }).promise();
+
+  const slugCandidates = existing.Item?.slug ? [existing.Item.slug] : buildSlugCandidates(item.name);
+
+  for (let attempt = 0; attempt < slugCandidates.length; attempt++) {
+    const slug = slugCandidates[attempt];
+
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          { Put: { TableName: 'bndy-artists', Item: { ...item, slug } } },
+          ...buildSlugChangeItems({ artistId: item.id, slug, artistUpdate: false })
+        ]
+      }).promise();
+      return slug;
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException' || attempt === slugCandidates.length - 1) {
+        throw error;
+      }
+    }
+  }
+}
+
 async function importArtists() {
   console.log('🎵 Importing artists to DynamoDB...');
 
@@ -16,39 +48,30 @@ async function importArtists() {
 
     console.log(`Found ${artistsData.length} artists to import`);
 
-    // Process in batches of 25 (DynamoDB batch limit)
+    // Process in batches of 25 to pace the writes
     for (let i = 0; i < artistsData.length; i += 25) {
       const batch = artistsData.slice(i, i + 25);
 
-      const putRequests = batch.map(artist => ({
-        PutRequest: {
-          Item: {
-            id: artist.id, // Use existing ID as primary key
-            name: artist.name,
-            bio: artist.bio || '',
-            location: artist.location || '',
-            genres: artist.genres || [],
-            facebookUrl: artist.originalData?.facebookUrl || '',
-            instagramUrl: artist.originalData?.instagramUrl || '',
-            websiteUrl: artist.originalData?.websiteUrl || '',
-            socialMediaUrls: artist.socialMediaURLs || [],
-            profileImageUrl: artist.profileImageUrl || '',
-            isVerified: artist.isVerified || false,
-            followerCount: artist.followerCount || 0,
-            claimedByUserId: artist.isClaimed ? 'claimed' : null,
-            created_at: artist.createdAt || new Date().toISOString(),
-            updated_at: artist.updatedAt || new Date().toISOString()
-          }
-        }
-      }));
-
-      const params = {
-        RequestItems: {
-          'bndy-artists': putRequests
-        }
-      };
-
-      await dynamodb.batchWrite(params).promise();
+      for (const artist of batch) {
+        await importArtist({
+          id: artist.id, // Use existing ID as primary key
+          name: artist.name,
+          bio: artist.bio || '',
+          location: artist.location || '',
+          genres: artist.genres || [],
+          ...buildArtistIndexFields(artist),
+          facebookUrl: artist.originalData?.facebookUrl || '',
+          instagramUrl: artist.originalData?.instagramUrl || '',
+          websiteUrl: artist.originalData?.websiteUrl || '',
+          socialMediaUrls: artist.socialMediaURLs || [],
+          profileImageUrl: artist.profileImageUrl || '',
+          isVerified: artist.isVerified || false,
+          followerCount: artist.followerCount || 0,
+          claimedByUserId: artist.isClaimed ? 'claimed' : null,
+          created_at: artist.createdAt || new Date().toISOString(),
+          updated_at: artist.updatedAt || new Date().toISOString()
+        });
+      }
       console.log(`✅ Imported batch ${Math.floor(i/25) + 1}/${Math.ceil(artistsData.length/25)} (${batch.length} artists)`);
 
       // Small delay to avoid throttling
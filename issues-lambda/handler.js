@@ -4,7 +4,7 @@
 
 const AWS = require('aws-sdk');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
+const { requireAuth, requireRole, notify } = require('bndy-shared');
 
 // AWS Services
 const dynamodb = new AWS.DynamoDB.DocumentClient();
@@ -12,7 +12,6 @@ const dynamodb = new AWS.DynamoDB.DocumentClient();
 // Configuration
 const ISSUES_TABLE = 'bndy-issues';
 const FRONTEND_URL = 'https://backstage.bndy.co.uk';
-const JWT_SECRET = process.env.JWT_SECRET;
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': FRONTEND_URL,
@@ -31,56 +30,6 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
-// Parse cookies from event
-const parseCookies = (cookieHeader) => {
-  if (!cookieHeader) return {};
-  return cookieHeader.split(';').reduce((cookies, cookie) => {
-    const [name, value] = cookie.trim().split('=');
-    cookies[name] = value;
-    return cookies;
-  }, {});
-};
-
-// Authentication validation
-const requireAuth = (event) => {
-  // HTTP API v2 passes cookies in event.cookies array
-  let sessionToken = null;
-
-  if (event.cookies && Array.isArray(event.cookies)) {
-    // HTTP API v2 format
-    const cookieString = event.cookies.find(c => c.startsWith('bndy_session='));
-    if (cookieString) {
-      sessionToken = cookieString.split('=')[1];
-    }
-  } else {
-    // Fallback to headers for compatibility
-    const cookies = parseCookies(event.headers?.Cookie || event.headers?.cookie || '');
-    sessionToken = cookies.bndy_session;
-  }
-
-  console.log(' ISSUES: Checking authentication', {
-    hasCookie: !!(event.cookies || event.headers?.Cookie),
-    hasSessionToken: !!sessionToken,
-    eventCookies: event.cookies?.length || 0
-  });
-
-  if (!sessionToken) {
-    console.log(' ISSUES: No session token found');
-    return { error: 'Not authenticated' };
-  }
-
-  try {
-    const session = jwt.verify(sessionToken, JWT_SECRET);
-    console.log(' ISSUES: User authenticated via session', {
-      userId: session.userId.substring(0, 8) + '...'
-    });
-    return { user: session };
-  } catch (error) {
-    console.error(' ISSUES: Invalid session token:', error.message);
-    return { error: 'Invalid session' };
-  }
-};
-
 // Create new issue
 const handleCreateIssue = async (event) => {
   const authResult = requireAuth(event);
@@ -254,6 +203,8 @@ const handleUpdateIssue = async (event) => {
     return createResponse(401, { error: authResult.error });
   }
 
+  const { user } = authResult;
+
   try {
     const issueId = event.pathParameters?.id;
     if (!issueId) {
@@ -360,6 +311,19 @@ const handleUpdateIssue = async (event) => {
       status: result.Attributes.status
     });
 
+    // Let the reporter know their issue moved on
+    if (status && status !== existingIssue.Item.status) {
+      await notify({
+        userId: existingIssue.Item.reported_by,
+        type: 'issue.status_changed',
+        actorUserId: user.userId,
+        title: `Your issue "${result.Attributes.title}" is now ${status}`,
+        body: `The status of an issue you reported changed from ${existingIssue.Item.status} to ${status}.`,
+        link: `/issues/${issueId}`,
+        data: { issueId, previousStatus: existingIssue.Item.status, status }
+      });
+    }
+
     return createResponse(200, {
       issue: result.Attributes,
       message: 'Issue updated successfully'
@@ -371,12 +335,12 @@ const handleUpdateIssue = async (event) => {
   }
 };
 
-// Delete issue
+// Delete issue (moderators and admins only)
 const handleDeleteIssue = async (event) => {
-  const authResult = requireAuth(event);
+  const authResult = requireRole(event, 'moderator');
 
   if (authResult.error) {
-    return createResponse(401, { error: authResult.error });
+    return createResponse(authResult.statusCode, { error: authResult.error });
   }
 
   try {
@@ -1,9 +1,53 @@
 // BNDY Memberships Lambda Function - Artist Membership Management
-// Handles: /api/artists/{id}/members, /api/memberships/{id}
+// Handles: /api/artists/{id}/members[/history], /api/artists/{id}/roles[/{roleId}],
+//          /api/artists/{id}/transfer-ownership, /api/artists/{id}/leave,
+//          /api/memberships/{id}, /api/invitations/{token}
 
 const AWS = require('aws-sdk');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  requireAuth,
+  getUserMemberships,
+  getUsersByIds,
+  getArtistsByIds,
+  notify,
+  sendEmail,
+  PERMISSION_CATALOGUE,
+  ARTIST_PERMISSIONS,
+  isValidPermissionList,
+  OWNER_ONLY,
+  MEMBERS_ONLY,
+  ARTIST_ROLES_TABLE,
+  isBuiltInArtistRole,
+  getArtistRoles,
+  getArtistRole,
+  formatArtistRole,
+  getArtistMemberships,
+  getArtistMembership,
+  isArtistOwner,
+  hasArtistPermission,
+  hasRole,
+  isLastOwner,
+  requireArtistPermission,
+  userGuardKey,
+  emailGuardKey,
+  ARCHIVED_MEMBERSHIP_STATUS,
+  membershipGuardKey,
+  getGuardedMembership,
+  buildGuardPut,
+  buildGuardDelete,
+  buildMemberCountUpdate,
+  buildArtistCountsUpdate,
+  isCountedOwner,
+  ensureOwnerCount,
+  buildMembershipCreateItems,
+  buildMembershipDeleteItems,
+  MEMBERSHIP_EVENTS_TABLE,
+  MEMBERSHIP_EVENT_TYPES,
+  buildMembershipEventItem,
+  buildMembershipChangeEvents
+} = require('bndy-shared');
 
 // AWS Services
 const dynamodb = new AWS.DynamoDB.DocumentClient();
@@ -12,9 +56,20 @@ const dynamodb = new AWS.DynamoDB.DocumentClient();
 const MEMBERSHIPS_TABLE = 'bndy-artist-memberships';
 const ARTISTS_TABLE = 'bndy-artists';
 const USERS_TABLE = 'bndy-users';
-const JWT_SECRET = process.env.JWT_SECRET;
+const HANDLES_TABLE = 'bndy-user-handles';
 const FRONTEND_URL = 'https://backstage.bndy.co.uk';
 
+// Invitations - a pending membership plus a signed token emailed to the invitee.
+// The token's jti must match the membership's invite_token_id, so resending invalidates old links.
+const INVITE_TOKEN_SECRET = process.env.INVITE_TOKEN_SECRET || process.env.JWT_SECRET;
+const INVITE_TOKEN_TYPE = 'artist_invite';
+const INVITE_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const INVITE_RESEND_INTERVAL_MS = 60 * 1000; // 1 minute between resends
+
+// Membership history pagination
+const DEFAULT_HISTORY_PAGE_SIZE = 25;
+const MAX_HISTORY_PAGE_SIZE = 100;
+
 const corsHeaders = {
   'Access-Control-Allow-Origin': FRONTEND_URL,
   'Access-Control-Allow-Headers': 'Content-Type,Authorization,Cookie',
@@ -22,16 +77,6 @@ const corsHeaders = {
   'Access-Control-Allow-Credentials': 'true'
 };
 
-// Parse cookies from event
-const parseCookies = (cookieHeader) => {
-  if (!cookieHeader) return {};
-  return cookieHeader.split(';').reduce((cookies, cookie) => {
-    const [name, value] = cookie.trim().split('=');
-    cookies[name] = value;
-    return cookies;
-  }, {});
-};
-
 // Create response
 const createResponse = (statusCode, body) => ({
   statusCode,
@@ -42,54 +87,32 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
-// Authentication middleware
-const requireAuth = (event) => {
-  let sessionToken = null;
+// User fields a membership profile inherits
+const USER_PROFILE_PROJECTION = 'cognito_id, display_name, username, avatar_url, oauth_profile_picture, instrument';
 
-  if (event.cookies && Array.isArray(event.cookies)) {
-    const cookieString = event.cookies.find(c => c.startsWith('bndy_session='));
-    if (cookieString) {
-      sessionToken = cookieString.split('=')[1];
-    }
-  } else {
-    const cookies = parseCookies(event.headers?.Cookie || event.headers?.cookie || '');
-    sessionToken = cookies.bndy_session;
-  }
+// Helper: Per-request user profile loader - batch-reads bndy-users for ids it hasn't seen yet
+// and returns the cache (Map<userId, user|null>), so each user is read at most once per request
+const createUserProfileLoader = () => {
+  const cache = new Map();
 
-  console.log('[MEMBERSHIPS] Checking authentication', {
-    hasCookie: !!(event.cookies || event.headers?.Cookie),
-    hasSessionToken: !!sessionToken
-  });
+  return async (userIds) => {
+    const missing = [...new Set(userIds.filter(id => id && !cache.has(id)))];
 
-  if (!sessionToken) {
-    console.log('[MEMBERSHIPS] No session token found');
-    return { error: 'Not authenticated' };
-  }
+    if (missing.length > 0) {
+      const users = await getUsersByIds(missing, { projection: USER_PROFILE_PROJECTION });
+      missing.forEach(id => cache.set(id, users.get(id) || null));
+    }
 
-  try {
-    const session = jwt.verify(sessionToken, JWT_SECRET);
-    console.log('[MEMBERSHIPS] User authenticated via session', {
-      userId: session.userId.substring(0, 8) + '...'
-    });
-    return { user: session };
-  } catch (error) {
-    console.error('[MEMBERSHIPS] Invalid session token:', error.message);
-    return { error: 'Invalid session' };
-  }
+    return cache;
+  };
 };
 
-// Helper: Resolve membership profile with inheritance from user
-const resolveMembershipProfile = async (membership, userId) => {
-  // Get user profile for inheritance
-  const userResult = await dynamodb.get({
-    TableName: USERS_TABLE,
-    Key: { cognito_id: userId }
-  }).promise();
-
-  const userProfile = userResult.Item || {};
+// Helper: Membership with profile fields resolved by inheritance from the user
+const formatMembershipProfile = (membership, userProfile = {}) => {
+  const { invite_token_id: inviteTokenId, ...publicMembership } = membership;
 
   return {
-    ...membership,
+    ...publicMembership,
 
     // Resolved profile fields (with inheritance)
     resolved_display_name: membership.display_name || userProfile.display_name || userProfile.username,
@@ -103,30 +126,77 @@ const resolveMembershipProfile = async (membership, userId) => {
   };
 };
 
-// Get all members for an artist
-const handleGetArtistMembers = async (event, artistId) => {
-  const authResult = requireAuth(event);
-  if (authResult.error) {
-    return createResponse(401, { error: authResult.error });
+// Helper: Resolve profiles for a list of memberships with one batched user read
+const resolveMembershipProfiles = async (memberships, loadUserProfiles = createUserProfileLoader()) => {
+  // Email invitations have no user until they are accepted
+  const users = await loadUserProfiles(memberships.map(m => m.user_id));
+  return memberships.map(membership => formatMembershipProfile(membership, users.get(membership.user_id) || {}));
+};
+
+const resolveMembershipProfile = async (membership, loadUserProfiles) =>
+  (await resolveMembershipProfiles([membership], loadUserProfiles))[0];
+
+// Opaque pagination cursor - the query LastEvaluatedKey, base64url encoded
+const encodeCursor = (key) => (key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null);
+
+const decodeCursor = (cursor) => {
+  const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (!key || typeof key !== 'object' || Array.isArray(key)) {
+    throw new Error('Invalid cursor');
   }
+  return key;
+};
 
-  try {
-    console.log(`[MEMBERSHIPS] Getting members for artist: ${artistId}`);
+// Helper: Every membership of an artist, any status (pending invitations included)
+const queryArtistMemberships = async (artistId) => {
+  const memberships = [];
+  let lastEvaluatedKey;
 
-    // Query memberships by artist_id
+  do {
     const result = await dynamodb.query({
       TableName: MEMBERSHIPS_TABLE,
       IndexName: 'artist_id-index',
       KeyConditionExpression: 'artist_id = :artistId',
       ExpressionAttributeValues: {
         ':artistId': artistId
-      }
+      },
+      ExclusiveStartKey: lastEvaluatedKey
     }).promise();
 
-    // Resolve profiles with inheritance
-    const memberships = await Promise.all(
-      result.Items.map(membership => resolveMembershipProfile(membership, membership.user_id))
-    );
+    memberships.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return memberships;
+};
+
+// Get all members for an artist (members of the artist only). Pending invitations and
+// invited email addresses are only shown to callers who can manage members.
+const handleGetArtistMembers = async (event, artistId) => {
+  const permission = await requireArtistPermission(event, artistId, MEMBERS_ONLY);
+  if (permission.error) {
+    return createResponse(permission.statusCode, { error: permission.error });
+  }
+
+  try {
+    console.log(`[MEMBERSHIPS] Getting members for artist: ${artistId}`);
+
+    const [allItems, roles] = await Promise.all([
+      queryArtistMemberships(artistId),
+      getArtistRoles(artistId)
+    ]);
+
+    const canManageMembers = hasArtistPermission(permission.membership, 'manage_members') ||
+      hasRole(permission.user, 'admin');
+    const items = canManageMembers ? allItems : allItems.filter(m => m.status !== 'pending');
+
+    // Resolve profiles with inheritance, and role ids to names (legacy free-text roles pass through)
+    const roleNames = new Map(roles.map(role => [role.role_id, role.name]));
+    const memberships = (await resolveMembershipProfiles(items)).map(({ invited_email, ...membership }) => ({
+      ...membership,
+      ...(canManageMembers && { invited_email }),
+      role_name: roleNames.get(membership.role) || membership.role
+    }));
 
     console.log(`[MEMBERSHIPS] Retrieved ${memberships.length} members`);
 
@@ -141,8 +211,232 @@ const handleGetArtistMembers = async (event, artistId) => {
   }
 };
 
-// Add member to artist (create membership)
-const handleAddMember = async (event, artistId) => {
+const formatMembershipEvent = (membershipEvent, users) => {
+  const userName = (userId) => {
+    const dbUser = users.get(userId);
+    return dbUser?.display_name || dbUser?.username || null;
+  };
+
+  return {
+    id: membershipEvent.event_id,
+    type: membershipEvent.event_type,
+    membershipId: membershipEvent.membership_id,
+    subject: {
+      userId: membershipEvent.subject_user_id,
+      email: membershipEvent.subject_email,
+      displayName: userName(membershipEvent.subject_user_id)
+    },
+    actor: membershipEvent.actor_user_id
+      ? { userId: membershipEvent.actor_user_id, displayName: userName(membershipEvent.actor_user_id) }
+      : null,
+    before: membershipEvent.before,
+    after: membershipEvent.after,
+    details: membershipEvent.details,
+    createdAt: membershipEvent.created_at
+  };
+};
+
+// Membership history for an artist, newest first (owners only) - ?limit, ?cursor, ?type
+const handleGetMembershipHistory = async (event, artistId) => {
+  const permission = await requireArtistPermission(event, artistId, OWNER_ONLY);
+  if (permission.error) {
+    return createResponse(permission.statusCode, { error: permission.error });
+  }
+
+  const params = event.queryStringParameters || {};
+
+  try {
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_HISTORY_PAGE_SIZE, 1), MAX_HISTORY_PAGE_SIZE);
+
+    if (params.type && !MEMBERSHIP_EVENT_TYPES.includes(params.type)) {
+      return createResponse(400, { error: 'Invalid event type', validTypes: MEMBERSHIP_EVENT_TYPES });
+    }
+
+    let exclusiveStartKey;
+    if (params.cursor) {
+      try {
+        exclusiveStartKey = decodeCursor(params.cursor);
+      } catch (error) {
+        return createResponse(400, { error: 'Invalid cursor' });
+      }
+    }
+
+    console.log('[MEMBERSHIPS] Getting membership history', { artistId, limit, type: params.type || null });
+
+    // Limit applies before the filter, so keep querying until the page is full
+    const items = [];
+
+    do {
+      const result = await dynamodb.query({
+        TableName: MEMBERSHIP_EVENTS_TABLE,
+        KeyConditionExpression: 'artist_id = :artistId',
+        ...(params.type && { FilterExpression: 'event_type = :type' }),
+        ExpressionAttributeValues: {
+          ':artistId': artistId,
+          ...(params.type && { ':type': params.type })
+        },
+        ScanIndexForward: false,
+        Limit: limit - items.length,
+        ExclusiveStartKey: exclusiveStartKey
+      }).promise();
+
+      items.push(...result.Items);
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey && items.length < limit);
+
+    // Names for everyone involved, in one batched read
+    const users = await createUserProfileLoader()(items.flatMap(e => [e.actor_user_id, e.subject_user_id]));
+
+    return createResponse(200, {
+      events: items.map(membershipEvent => formatMembershipEvent(membershipEvent, users)),
+      nextCursor: encodeCursor(exclusiveStartKey)
+    });
+
+  } catch (error) {
+    console.error('[MEMBERSHIPS] Get membership history error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+const MEMBERSHIP_STATUSES = ['active', 'inactive'];
+const LAST_OWNER_ERROR = 'An artist must keep at least one owner - transfer ownership first';
+const DELETED_ARTIST_ERROR = 'This artist has been deleted - restore it to change its members';
+const PERMISSIONS_FROM_ROLE_ERROR = 'Permissions come from the member\'s role - assign a role instead';
+const UNHELD_PERMISSIONS_ERROR = 'You can only grant permissions you hold yourself';
+
+// Helper: The permissions in a list that the caller (a requireArtistPermission result) doesn't hold.
+// Owners and platform admins hold every permission.
+const getUnheldPermissions = ({ user, membership }, permissions) =>
+  hasRole(user, 'admin') ? [] : permissions.filter(p => !hasArtistPermission(membership, p));
+
+// Helper: Make a bndy-artists Update transaction item fail once the artist is (soft) deleted
+const withArtistNotDeleted = ({ Update: update }) => ({
+  Update: { ...update, ConditionExpression: `${update.ConditionExpression} AND attribute_not_exists(deleted_at)` }
+});
+
+// Helper: Find the invitee's user record from an email, handle or user id (null if they have no account)
+const findInvitee = async ({ email, handle, userId }) => {
+  if (userId) {
+    const result = await dynamodb.get({ TableName: USERS_TABLE, Key: { cognito_id: userId } }).promise();
+    return result.Item || null;
+  }
+
+  if (handle) {
+    const handleResult = await dynamodb.get({
+      TableName: HANDLES_TABLE,
+      Key: { handle: handle.trim().replace(/^@/, '').toLowerCase() }
+    }).promise();
+
+    if (!handleResult.Item) return null;
+
+    const result = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: handleResult.Item.user_cognito_id }
+    }).promise();
+    return result.Item || null;
+  }
+
+  const result = await dynamodb.query({
+    TableName: USERS_TABLE,
+    IndexName: 'email_lower-index',
+    KeyConditionExpression: 'email_lower = :email',
+    ExpressionAttributeValues: { ':email': email }
+  }).promise();
+
+  const [oldest] = result.Items.sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+  return oldest || null;
+};
+
+const isValidEmail = (email) => !!email && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+const signInviteToken = (membershipId, tokenId) => jwt.sign(
+  { typ: INVITE_TOKEN_TYPE, mid: membershipId },
+  INVITE_TOKEN_SECRET,
+  { jwtid: tokenId, expiresIn: INVITE_TTL_SECONDS }
+);
+
+// Helper: Verify an invite token - returns { membership, claims } or { error, statusCode }
+const loadInvitation = async (token) => {
+  let claims;
+
+  try {
+    claims = jwt.verify(token, INVITE_TOKEN_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { error: 'Invitation has expired', statusCode: 410 };
+    }
+    return { error: 'Invitation not found', statusCode: 404 };
+  }
+
+  if (claims.typ !== INVITE_TOKEN_TYPE || !claims.mid || !claims.jti) {
+    return { error: 'Invitation not found', statusCode: 404 };
+  }
+
+  const result = await dynamodb.get({
+    TableName: MEMBERSHIPS_TABLE,
+    Key: { membership_id: claims.mid }
+  }).promise();
+
+  const membership = result.Item;
+
+  // Cancelled, already answered, or superseded by a resend
+  if (!membership || membership.status !== 'pending' || membership.invite_token_id !== claims.jti) {
+    return { error: 'Invitation not found', statusCode: 404 };
+  }
+
+  return { membership, claims };
+};
+
+const formatInvitation = (membership, artist = null) => ({
+  membershipId: membership.membership_id,
+  artistId: membership.artist_id,
+  artistName: artist?.name || null,
+  role: membership.role,
+  status: membership.status,
+  invitedEmail: membership.invited_email || null,
+  invitedAt: membership.invited_at,
+  invitedByUserId: membership.invited_by_user_id,
+  expiresAt: membership.invite_expires_at
+});
+
+// Helper: Email the invite link (the frontend page calls accept/decline with the token)
+const sendInvitationEmail = async ({ to, artistName, inviterName, role, token }) => {
+  const inviteUrl = `${FRONTEND_URL}/invitations/${token}`;
+
+  await sendEmail({
+    to,
+    subject: `${inviterName} invited you to join ${artistName} on BNDY`,
+    text: `${inviterName} has invited you to join ${artistName} on BNDY as a ${role}.\n\n` +
+      `Accept or decline the invitation here:\n\n${inviteUrl}\n\n` +
+      `The invitation expires in ${INVITE_TTL_SECONDS / 86400} days. ` +
+      'If you were not expecting it, you can ignore this email.'
+  });
+};
+
+// Helper: Deliver an invitation by email and in-app
+const deliverInvitation = async ({ membership, artist, inviter, invitee, token }) => {
+  const inviterName = inviter?.display_name || inviter?.username || 'A BNDY user';
+  const email = invitee?.email || membership.invited_email;
+
+  if (email) {
+    await sendInvitationEmail({ to: email, artistName: artist.name, inviterName, role: membership.role, token });
+  }
+
+  if (invitee) {
+    await notify({
+      userId: invitee.cognito_id,
+      type: 'membership.invited',
+      actorUserId: membership.invited_by_user_id,
+      title: `${inviterName} invited you to join ${artist.name}`,
+      body: `You have been invited to join ${artist.name} as a ${membership.role}.`,
+      link: `/invitations/${token}`,
+      data: { artistId: artist.id, membershipId: membership.membership_id }
+    });
+  }
+};
+
+// Invite a member to an artist by email, handle or user id - creates a pending membership
+const handleInviteMember = async (event, artistId) => {
   const authResult = requireAuth(event);
   if (authResult.error) {
     return createResponse(401, { error: authResult.error });
@@ -151,8 +445,10 @@ const handleAddMember = async (event, artistId) => {
   const { user } = authResult;
 
   try {
-    const requestBody = JSON.parse(event.body);
+    const requestBody = JSON.parse(event.body || '{}');
     const {
+      email: rawEmail,
+      handle,
       userId,
       role = 'member',
       membershipType = 'performer',
@@ -161,12 +457,26 @@ const handleAddMember = async (event, artistId) => {
       instrument = null,
       icon = 'fa-music',
       color = '#708090',
-      permissions = []
+      permissions
     } = requestBody;
 
-    console.log('[MEMBERSHIPS] Adding member to artist', {
+    const email = rawEmail ? String(rawEmail).trim().toLowerCase() : null;
+
+    if ([email, handle, userId].filter(Boolean).length !== 1) {
+      return createResponse(400, { error: 'Provide exactly one of email, handle or userId' });
+    }
+
+    if (rawEmail && !isValidEmail(email)) {
+      return createResponse(400, { error: 'A valid email address is required' });
+    }
+
+    if (role === 'owner') {
+      return createResponse(400, { error: 'Invitations cannot grant the owner role' });
+    }
+
+    console.log('[MEMBERSHIPS] Inviting member to artist', {
       artistId,
-      userId,
+      by: email ? 'email' : handle ? 'handle' : 'userId',
       role,
       invitedBy: user.userId
     });
@@ -177,33 +487,61 @@ const handleAddMember = async (event, artistId) => {
       Key: { id: artistId }
     }).promise();
 
-    if (!artistResult.Item) {
+    if (!artistResult.Item || artistResult.Item.deleted_at) {
       return createResponse(404, { error: 'Artist not found' });
     }
 
-    // Check if membership already exists
-    const existingResult = await dynamodb.query({
-      TableName: MEMBERSHIPS_TABLE,
-      IndexName: 'artist_id-index',
-      KeyConditionExpression: 'artist_id = :artistId',
-      FilterExpression: 'user_id = :userId',
-      ExpressionAttributeValues: {
-        ':artistId': artistId,
-        ':userId': userId
-      }
-    }).promise();
+    const permission = await requireArtistPermission(event, artistId, 'manage_members');
+    if (permission.error) {
+      return createResponse(permission.statusCode, { error: permission.error });
+    }
+
+    if (permissions !== undefined) {
+      return createResponse(400, { error: PERMISSIONS_FROM_ROLE_ERROR });
+    }
+
+    const artistRole = await getArtistRole(artistId, role);
+    if (!artistRole) {
+      return createResponse(400, { error: 'Unknown role for this artist' });
+    }
+
+    const unheldPermissions = getUnheldPermissions(permission, artistRole.permissions);
+    if (unheldPermissions.length > 0) {
+      return createResponse(403, { error: UNHELD_PERMISSIONS_ERROR, permissions: unheldPermissions });
+    }
+
+    const invitee = await findInvitee({ email, handle, userId });
+
+    // Handles and user ids must resolve to an account; emails may belong to someone not on BNDY yet
+    if (!invitee && !email) {
+      return createResponse(404, { error: 'User not found' });
+    }
 
-    if (existingResult.Items.length > 0) {
-      return createResponse(400, { error: 'User is already a member of this artist' });
+    if (invitee?.cognito_id === user.userId) {
+      return createResponse(400, { error: 'You cannot invite yourself' });
     }
 
-    // Create membership
+    // Check if a membership or invitation already exists (the guard in the transaction below enforces it)
+    const existing = await getGuardedMembership(invitee
+      ? userGuardKey(artistId, invitee.cognito_id)
+      : emailGuardKey(artistId, email));
+
+    if (existing) {
+      return createResponse(409, {
+        error: existing.status === 'pending'
+          ? 'This person already has a pending invitation - resend it instead'
+          : 'User is already a member of this artist',
+        membershipId: existing.status === 'pending' ? existing.membership_id : undefined
+      });
+    }
+
+    // Create pending membership
     const membershipId = crypto.randomUUID();
-    const now = new Date().toISOString();
+    const tokenId = crypto.randomUUID();
+    const now = new Date();
 
     const membership = {
       membership_id: membershipId,
-      user_id: userId,
       artist_id: artistId,
       membership_type: membershipType,
       role: role,
@@ -218,52 +556,108 @@ const handleAddMember = async (event, artistId) => {
       icon: icon,
       color: color,
 
-      // Permissions
-      permissions: permissions,
-
-      // Metadata
-      joined_at: now,
-      invited_at: now,
+      // Permissions (copied from the role)
+      permissions: artistRole.permissions,
+
+      // Invitation - user_id is only set once we know the account (GSI keys can't be null)
+      ...(invitee && { user_id: invitee.cognito_id }),
+      invited_email: email || null,
+      invite_token_id: tokenId,
+      invite_expires_at: new Date(now.getTime() + INVITE_TTL_SECONDS * 1000).toISOString(),
+      invite_last_sent_at: now.toISOString(),
+      joined_at: null,
+      invited_at: now.toISOString(),
       invited_by_user_id: user.userId,
-      status: 'active',
+      status: 'pending',
 
-      created_at: now,
-      updated_at: now
+      created_at: now.toISOString(),
+      updated_at: now.toISOString()
     };
 
-    await dynamodb.put({
-      TableName: MEMBERSHIPS_TABLE,
-      Item: membership
-    }).promise();
-
-    // Update artist member_count
-    await dynamodb.update({
-      TableName: ARTISTS_TABLE,
-      Key: { id: artistId },
-      UpdateExpression: 'ADD member_count :inc',
-      ExpressionAttributeValues: {
-        ':inc': 1
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          ...buildMembershipCreateItems(membership),
+          // Not deleted since we read it - its memberships may already be archived
+          {
+            ConditionCheck: {
+              TableName: ARTISTS_TABLE,
+              Key: { id: artistId },
+              ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(deleted_at)'
+            }
+          },
+          buildMembershipEventItem({
+            type: 'invited',
+            membership,
+            actorUserId: user.userId,
+            after: { role, permissions: artistRole.permissions }
+          })
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        return createResponse(409, { error: 'This person is already a member of this artist or has a pending invitation' });
       }
+      throw error;
+    }
+
+    const inviterResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: user.userId }
     }).promise();
 
-    // Resolve profile with inheritance
-    const resolvedMembership = await resolveMembershipProfile(membership, userId);
+    await deliverInvitation({
+      membership,
+      artist: artistResult.Item,
+      inviter: inviterResult.Item,
+      invitee,
+      token: signInviteToken(membershipId, tokenId)
+    });
 
-    console.log('[MEMBERSHIPS] Member added successfully');
+    console.log('[MEMBERSHIPS] Invitation created', { membershipId, hasAccount: !!invitee });
 
     return createResponse(201, {
-      membership: resolvedMembership,
-      message: 'Member added successfully'
+      invitation: formatInvitation(membership, artistResult.Item),
+      message: 'Invitation sent'
     });
 
   } catch (error) {
-    console.error('[MEMBERSHIPS] Add member error:', error);
+    console.error('[MEMBERSHIPS] Invite member error:', error);
     return createResponse(500, { error: 'Internal server error' });
   }
 };
 
-// Update membership
-const handleUpdateMembership = async (event, membershipId) => {
+// Invitation details for the accept/decline page (no auth - the token is the credential)
+const handleGetInvitation = async (event, token) => {
+  try {
+    const invitation = await loadInvitation(token);
+    if (invitation.error) {
+      return createResponse(invitation.statusCode, { error: invitation.error });
+    }
+
+    const { membership } = invitation;
+
+    const [artistResult, inviterResult] = await Promise.all([
+      dynamodb.get({ TableName: ARTISTS_TABLE, Key: { id: membership.artist_id } }).promise(),
+      dynamodb.get({ TableName: USERS_TABLE, Key: { cognito_id: membership.invited_by_user_id } }).promise()
+    ]);
+
+    return createResponse(200, {
+      invitation: {
+        ...formatInvitation(membership, artistResult.Item),
+        artistImageUrl: artistResult.Item?.profileImageUrl || null,
+        invitedByName: inviterResult.Item?.display_name || inviterResult.Item?.username || null
+      }
+    });
+
+  } catch (error) {
+    console.error('[MEMBERSHIPS] Get invitation error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Accept an invitation - activates the membership for the signed-in caller
+const handleAcceptInvitation = async (event, token) => {
   const authResult = requireAuth(event);
   if (authResult.error) {
     return createResponse(401, { error: authResult.error });
@@ -272,80 +666,365 @@ const handleUpdateMembership = async (event, membershipId) => {
   const { user } = authResult;
 
   try {
-    const requestBody = JSON.parse(event.body);
-    const {
-      role,
-      displayName,
-      avatarUrl,
-      instrument,
-      bio,
-      icon,
-      color,
-      permissions,
-      status
-    } = requestBody;
+    const invitation = await loadInvitation(token);
+    if (invitation.error) {
+      return createResponse(invitation.statusCode, { error: invitation.error });
+    }
 
-    console.log('[MEMBERSHIPS] Updating membership', {
-      membershipId,
-      hasDisplayName: displayName !== undefined,
-      hasRole: role !== undefined
-    });
+    const { membership, claims } = invitation;
 
-    // Get existing membership
-    const existingResult = await dynamodb.get({
-      TableName: MEMBERSHIPS_TABLE,
-      Key: { membership_id: membershipId }
-    }).promise();
+    // Invitations sent to an account can only be accepted by that account.
+    // Email invitations bind to whoever holds the emailed link.
+    if (membership.user_id && membership.user_id !== user.userId) {
+      return createResponse(403, { error: 'This invitation was sent to a different account' });
+    }
 
-    if (!existingResult.Item) {
-      return createResponse(404, { error: 'Membership not found' });
+    if (!membership.user_id && await getArtistMembership(membership.artist_id, user.userId)) {
+      return createResponse(409, { error: 'You are already a member of this artist' });
     }
 
-    // Build update expression
-    const updateParts = [];
-    const expressionAttributeValues = {};
-    const expressionAttributeNames = {};
+    console.log('[MEMBERSHIPS] Accepting invitation', { membershipId: membership.membership_id });
 
-    if (role !== undefined) {
-      updateParts.push('#role = :role');
-      expressionAttributeNames['#role'] = 'role';
-      expressionAttributeValues[':role'] = role;
-    }
+    const now = new Date().toISOString();
 
-    if (displayName !== undefined) {
-      updateParts.push('display_name = :displayName');
-      expressionAttributeValues[':displayName'] = displayName;
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          {
+            Update: {
+              TableName: MEMBERSHIPS_TABLE,
+              Key: { membership_id: membership.membership_id },
+              UpdateExpression: 'SET user_id = :userId, #status = :active, joined_at = :now, updated_at = :now ' +
+                'REMOVE invite_token_id, invite_expires_at',
+              ConditionExpression: '#status = :pending AND invite_token_id = :tokenId',
+              ExpressionAttributeNames: { '#status': 'status' },
+              ExpressionAttributeValues: {
+                ':userId': user.userId,
+                ':active': 'active',
+                ':pending': 'pending',
+                ':tokenId': claims.jti,
+                ':now': now
+              }
+            }
+          },
+          // Email invitations swap their email guard for a user guard
+          ...(membership.user_id ? [] : [
+            buildGuardDelete(membershipGuardKey(membership)),
+            buildGuardPut(userGuardKey(membership.artist_id, user.userId), membership.membership_id)
+          ]),
+          // Joining a deleted artist would miss the archiving of its memberships
+          withArtistNotDeleted(buildMemberCountUpdate(membership.artist_id, 1)),
+          buildMembershipEventItem({
+            type: 'joined',
+            membership,
+            actorUserId: user.userId,
+            subjectUserId: user.userId,
+            after: { role: membership.role, permissions: membership.permissions || [] }
+          })
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        return createResponse(409, { error: 'Invitation is no longer valid, or you are already a member of this artist' });
+      }
+      throw error;
     }
 
-    if (avatarUrl !== undefined) {
-      updateParts.push('avatar_url = :avatarUrl');
-      expressionAttributeValues[':avatarUrl'] = avatarUrl;
-    }
+    const artistResult = await dynamodb.get({
+      TableName: ARTISTS_TABLE,
+      Key: { id: membership.artist_id }
+    }).promise();
 
-    if (instrument !== undefined) {
-      updateParts.push('instrument = :instrument');
-      expressionAttributeValues[':instrument'] = instrument;
-    }
+    const resolvedMembership = await resolveMembershipProfile(
+      { ...membership, user_id: user.userId, status: 'active', joined_at: now, updated_at: now }
+    );
 
-    if (bio !== undefined) {
-      updateParts.push('bio = :bio');
-      expressionAttributeValues[':bio'] = bio;
-    }
+    await notify({
+      userId: membership.invited_by_user_id,
+      type: 'invitation.accepted',
+      actorUserId: user.userId,
+      title: `${resolvedMembership.resolved_display_name || 'Your invitee'} joined ${artistResult.Item?.name || 'your artist'}`,
+      body: 'Your invitation was accepted.',
+      link: `/artists/${membership.artist_id}`,
+      data: { artistId: membership.artist_id, membershipId: membership.membership_id }
+    });
 
-    if (icon !== undefined) {
-      updateParts.push('icon = :icon');
-      expressionAttributeValues[':icon'] = icon;
-    }
+    console.log('[MEMBERSHIPS] Invitation accepted');
 
-    if (color !== undefined) {
-      updateParts.push('#color = :color');
-      expressionAttributeNames['#color'] = 'color';
-      expressionAttributeValues[':color'] = color;
+    return createResponse(200, {
+      membership: resolvedMembership,
+      message: 'Invitation accepted'
+    });
+
+  } catch (error) {
+    console.error('[MEMBERSHIPS] Accept invitation error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Decline an invitation - works without signing in, the token is the credential
+const handleDeclineInvitation = async (event, token) => {
+  try {
+    const invitation = await loadInvitation(token);
+    if (invitation.error) {
+      return createResponse(invitation.statusCode, { error: invitation.error });
     }
 
-    if (permissions !== undefined) {
-      updateParts.push('permissions = :permissions');
-      expressionAttributeValues[':permissions'] = permissions;
+    const { membership, claims } = invitation;
+
+    // A signed-in caller can't decline someone else's invitation
+    const caller = requireAuth(event).user;
+    if (caller && membership.user_id && membership.user_id !== caller.userId) {
+      return createResponse(403, { error: 'This invitation was sent to a different account' });
+    }
+
+    await dynamodb.transactWrite({
+      TransactItems: [
+        ...buildMembershipDeleteItems(membership, { inviteTokenId: claims.jti }),
+        buildMembershipEventItem({ type: 'invitation_declined', membership, actorUserId: caller?.userId })
+      ]
+    }).promise();
+
+    console.log('[MEMBERSHIPS] Invitation declined', { membershipId: membership.membership_id });
+
+    return createResponse(200, { message: 'Invitation declined' });
+
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      return createResponse(409, { error: 'Invitation is no longer valid' });
+    }
+    console.error('[MEMBERSHIPS] Decline invitation error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Resend a pending invitation - issues a fresh token (old links stop working) and a new expiry
+const handleResendInvitation = async (event, membershipId) => {
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    const membershipResult = await dynamodb.get({
+      TableName: MEMBERSHIPS_TABLE,
+      Key: { membership_id: membershipId }
+    }).promise();
+
+    const membership = membershipResult.Item;
+
+    if (!membership || membership.status !== 'pending') {
+      return createResponse(404, { error: 'Invitation not found' });
+    }
+
+    if (membership.invited_by_user_id !== user.userId) {
+      const permission = await requireArtistPermission(event, membership.artist_id, 'manage_members');
+      if (permission.error) {
+        return createResponse(permission.statusCode, { error: permission.error });
+      }
+    }
+
+    const now = new Date();
+    if (membership.invite_last_sent_at &&
+      now.getTime() - new Date(membership.invite_last_sent_at).getTime() < INVITE_RESEND_INTERVAL_MS) {
+      return createResponse(429, { error: 'Invitation was sent recently, please wait a minute before resending' });
+    }
+
+    const tokenId = crypto.randomUUID();
+
+    const updateResult = await dynamodb.update({
+      TableName: MEMBERSHIPS_TABLE,
+      Key: { membership_id: membershipId },
+      UpdateExpression: 'SET invite_token_id = :tokenId, invite_expires_at = :expiresAt, ' +
+        'invite_last_sent_at = :now, updated_at = :now',
+      ConditionExpression: '#status = :pending',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':tokenId': tokenId,
+        ':expiresAt': new Date(now.getTime() + INVITE_TTL_SECONDS * 1000).toISOString(),
+        ':now': now.toISOString(),
+        ':pending': 'pending'
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    const updatedMembership = updateResult.Attributes;
+
+    const [artistResult, inviterResult, invitee] = await Promise.all([
+      dynamodb.get({ TableName: ARTISTS_TABLE, Key: { id: updatedMembership.artist_id } }).promise(),
+      dynamodb.get({ TableName: USERS_TABLE, Key: { cognito_id: updatedMembership.invited_by_user_id } }).promise(),
+      updatedMembership.user_id ? findInvitee({ userId: updatedMembership.user_id }) : null
+    ]);
+
+    await deliverInvitation({
+      membership: updatedMembership,
+      artist: artistResult.Item,
+      inviter: inviterResult.Item,
+      invitee,
+      token: signInviteToken(membershipId, tokenId)
+    });
+
+    console.log('[MEMBERSHIPS] Invitation resent', { membershipId });
+
+    return createResponse(200, {
+      invitation: formatInvitation(updatedMembership, artistResult.Item),
+      message: 'Invitation resent'
+    });
+
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createResponse(404, { error: 'Invitation not found' });
+    }
+    console.error('[MEMBERSHIPS] Resend invitation error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Update membership
+const handleUpdateMembership = async (event, membershipId) => {
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    const requestBody = JSON.parse(event.body);
+    const {
+      role,
+      displayName,
+      avatarUrl,
+      instrument,
+      bio,
+      icon,
+      color,
+      permissions,
+      status
+    } = requestBody;
+
+    console.log('[MEMBERSHIPS] Updating membership', {
+      membershipId,
+      hasDisplayName: displayName !== undefined,
+      hasRole: role !== undefined
+    });
+
+    // Get existing membership
+    const existingResult = await dynamodb.get({
+      TableName: MEMBERSHIPS_TABLE,
+      Key: { membership_id: membershipId }
+    }).promise();
+
+    if (!existingResult.Item) {
+      return createResponse(404, { error: 'Membership not found' });
+    }
+
+    const existing = existingResult.Item;
+
+    if (existing.status === ARCHIVED_MEMBERSHIP_STATUS) {
+      return createResponse(409, { error: DELETED_ARTIST_ERROR });
+    }
+
+    if (permissions !== undefined) {
+      return createResponse(400, { error: PERMISSIONS_FROM_ROLE_ERROR });
+    }
+
+    // Members may edit their own membership profile; role and status need manage_members,
+    // and anything touching the owner role needs an owner. Nobody changes their own role -
+    // owners hand it on with transfer-ownership.
+    const isSelf = existing.user_id === user.userId;
+    const changesAccess = role !== undefined || status !== undefined;
+    const touchesOwner = isArtistOwner(existing) || role === 'owner';
+
+    if (isSelf && role !== undefined) {
+      return createResponse(403, { error: 'You cannot change your own role' });
+    }
+
+    let permission = null;
+    if (changesAccess || !isSelf) {
+      permission = await requireArtistPermission(
+        event,
+        existing.artist_id,
+        changesAccess && touchesOwner ? OWNER_ONLY : 'manage_members'
+      );
+      if (permission.error) {
+        return createResponse(permission.statusCode, { error: permission.error });
+      }
+    }
+
+    // Assigning a role also assigns its permissions, which the caller must hold
+    const artistRole = role !== undefined ? await getArtistRole(existing.artist_id, role) : null;
+    if (role !== undefined && !artistRole) {
+      return createResponse(400, { error: 'Unknown role for this artist' });
+    }
+
+    const unheldPermissions = artistRole ? getUnheldPermissions(permission, artistRole.permissions) : [];
+    if (unheldPermissions.length > 0) {
+      return createResponse(403, { error: UNHELD_PERMISSIONS_ERROR, permissions: unheldPermissions });
+    }
+    const rolePermissions = artistRole ? artistRole.permissions : undefined;
+
+    if (status !== undefined) {
+      if (existing.status === 'pending') {
+        return createResponse(400, { error: 'Pending invitations are activated by accepting them' });
+      }
+      if (!MEMBERSHIP_STATUSES.includes(status)) {
+        return createResponse(400, { error: 'Invalid status', validStatuses: MEMBERSHIP_STATUSES });
+      }
+    }
+
+    const demotesOwner = (role !== undefined && role !== 'owner') || (status !== undefined && status !== 'active');
+    if (demotesOwner && await isLastOwner(existing)) {
+      return createResponse(409, { error: LAST_OWNER_ERROR });
+    }
+
+    // Build update expression
+    const updateParts = [];
+    const expressionAttributeValues = {};
+    const expressionAttributeNames = {};
+
+    if (role !== undefined) {
+      updateParts.push('#role = :role');
+      expressionAttributeNames['#role'] = 'role';
+      expressionAttributeValues[':role'] = role;
+    }
+
+    if (displayName !== undefined) {
+      updateParts.push('display_name = :displayName');
+      expressionAttributeValues[':displayName'] = displayName;
+    }
+
+    if (avatarUrl !== undefined) {
+      updateParts.push('avatar_url = :avatarUrl');
+      expressionAttributeValues[':avatarUrl'] = avatarUrl;
+    }
+
+    if (instrument !== undefined) {
+      updateParts.push('instrument = :instrument');
+      expressionAttributeValues[':instrument'] = instrument;
+    }
+
+    if (bio !== undefined) {
+      updateParts.push('bio = :bio');
+      expressionAttributeValues[':bio'] = bio;
+    }
+
+    if (icon !== undefined) {
+      updateParts.push('icon = :icon');
+      expressionAttributeValues[':icon'] = icon;
+    }
+
+    if (color !== undefined) {
+      updateParts.push('#color = :color');
+      expressionAttributeNames['#color'] = 'color';
+      expressionAttributeValues[':color'] = color;
+    }
+
+    if (rolePermissions !== undefined) {
+      updateParts.push('permissions = :permissions');
+      expressionAttributeValues[':permissions'] = rolePermissions;
     }
 
     if (status !== undefined) {
@@ -360,26 +1039,82 @@ const handleUpdateMembership = async (event, membershipId) => {
 
     const updateExpression = 'SET ' + updateParts.join(', ');
 
+    // Moving into or out of active changes member_count, and gaining or losing an active owner
+    // changes owner_count, so they commit together with the membership
+    const countDelta = status === undefined || (status === 'active') === (existing.status === 'active')
+      ? 0
+      : status === 'active' ? 1 : -1;
+    const willOwn = (role !== undefined ? role : existing.role) === 'owner' &&
+      (status !== undefined ? status : existing.status) === 'active';
+    const ownerDelta = Number(willOwn) - Number(isCountedOwner(existing));
+    const adjustsCounts = countDelta !== 0 || ownerDelta !== 0;
+
+    if (adjustsCounts) {
+      expressionAttributeNames['#status'] = 'status';
+      expressionAttributeNames['#role'] = 'role';
+      expressionAttributeValues[':previousStatus'] = existing.status;
+      expressionAttributeValues[':previousRole'] = existing.role;
+    }
+
+    if (ownerDelta !== 0) {
+      await ensureOwnerCount(existing.artist_id);
+    }
+
     // Update membership
     const updateParams = {
       TableName: MEMBERSHIPS_TABLE,
       Key: { membership_id: membershipId },
       UpdateExpression: updateExpression,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW'
+      ExpressionAttributeValues: expressionAttributeValues
     };
 
     if (Object.keys(expressionAttributeNames).length > 0) {
       updateParams.ExpressionAttributeNames = expressionAttributeNames;
     }
 
-    const result = await dynamodb.update(updateParams).promise();
+    // Role, permission and status changes are recorded in the membership history
+    const historyEvents = buildMembershipChangeEvents(
+      existing,
+      { role, permissions: rolePermissions, status },
+      user.userId
+    );
+
+    let updatedMembership;
+
+    if (adjustsCounts || historyEvents.length > 0) {
+      try {
+        await dynamodb.transactWrite({
+          TransactItems: [
+            adjustsCounts
+              ? { Update: { ...updateParams, ConditionExpression: '#status = :previousStatus AND #role = :previousRole' } }
+              : { Update: updateParams },
+            // Losing an owner only commits while another owner remains
+            ...(adjustsCounts ? [buildArtistCountsUpdate(existing.artist_id, { members: countDelta, owners: ownerDelta })] : []),
+            ...historyEvents.map(buildMembershipEventItem)
+          ]
+        }).promise();
+      } catch (error) {
+        if (error.code === 'TransactionCanceledException') {
+          if (ownerDelta < 0 && await isLastOwner(existing)) {
+            return createResponse(409, { error: LAST_OWNER_ERROR });
+          }
+          return createResponse(409, { error: 'Membership changed while updating, please try again' });
+        }
+        throw error;
+      }
+
+      const updatedResult = await dynamodb.get({
+        TableName: MEMBERSHIPS_TABLE,
+        Key: { membership_id: membershipId }
+      }).promise();
+      updatedMembership = updatedResult.Item;
+    } else {
+      const result = await dynamodb.update({ ...updateParams, ReturnValues: 'ALL_NEW' }).promise();
+      updatedMembership = result.Attributes;
+    }
 
     // Resolve profile with inheritance
-    const resolvedMembership = await resolveMembershipProfile(
-      result.Attributes,
-      result.Attributes.user_id
-    );
+    const resolvedMembership = await resolveMembershipProfile(updatedMembership);
 
     console.log('[MEMBERSHIPS] Membership updated successfully');
 
@@ -401,6 +1136,8 @@ const handleDeleteMembership = async (event, membershipId) => {
     return createResponse(401, { error: authResult.error });
   }
 
+  const { user } = authResult;
+
   try {
     console.log('[MEMBERSHIPS] Deleting membership', { membershipId });
 
@@ -416,34 +1153,91 @@ const handleDeleteMembership = async (event, membershipId) => {
 
     const artistId = membershipResult.Item.artist_id;
 
-    // Delete membership
-    await dynamodb.delete({
-      TableName: MEMBERSHIPS_TABLE,
-      Key: { membership_id: membershipId }
-    }).promise();
+    // Archived memberships are still counted in member_count - they go when the artist is restored or purged
+    if (membershipResult.Item.status === ARCHIVED_MEMBERSHIP_STATUS) {
+      return createResponse(409, { error: DELETED_ARTIST_ERROR });
+    }
 
-    // Update artist member_count
-    await dynamodb.update({
-      TableName: ARTISTS_TABLE,
-      Key: { id: artistId },
-      UpdateExpression: 'ADD member_count :dec',
-      ExpressionAttributeValues: {
-        ':dec': -1
+    // Deleting a pending membership cancels the invitation (inviter or member managers only)
+    if (membershipResult.Item.status === 'pending') {
+      if (membershipResult.Item.invited_by_user_id !== user.userId) {
+        const permission = await requireArtistPermission(event, artistId, 'manage_members');
+        if (permission.error) {
+          return createResponse(permission.statusCode, { error: permission.error });
+        }
       }
-    }).promise();
+
+      await dynamodb.transactWrite({
+        TransactItems: [
+          ...buildMembershipDeleteItems(membershipResult.Item),
+          buildMembershipEventItem({
+            type: 'invitation_cancelled',
+            membership: membershipResult.Item,
+            actorUserId: user.userId
+          })
+        ]
+      }).promise();
+
+      console.log('[MEMBERSHIPS] Invitation cancelled');
+
+      return createResponse(200, { message: 'Invitation cancelled' });
+    }
+
+    // Removing a member needs manage_members; removing an owner needs an owner
+    const permission = await requireArtistPermission(
+      event,
+      artistId,
+      isArtistOwner(membershipResult.Item) ? OWNER_ONLY : 'manage_members'
+    );
+    if (permission.error) {
+      return createResponse(permission.statusCode, { error: permission.error });
+    }
+
+    if (await isLastOwner(membershipResult.Item)) {
+      return createResponse(409, { error: LAST_OWNER_ERROR });
+    }
+
+    if (isCountedOwner(membershipResult.Item)) {
+      await ensureOwnerCount(artistId);
+    }
+
+    // Delete membership, its guard and (for active members) decrement member_count together;
+    // removing an owner only commits while another owner remains
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          ...buildMembershipDeleteItems(membershipResult.Item),
+          buildMembershipEventItem({
+            type: 'removed',
+            membership: membershipResult.Item,
+            actorUserId: user.userId,
+            before: { role: membershipResult.Item.role, permissions: membershipResult.Item.permissions || [] }
+          })
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException' && await isLastOwner(membershipResult.Item)) {
+        return createResponse(409, { error: LAST_OWNER_ERROR });
+      }
+      throw error;
+    }
 
     console.log('[MEMBERSHIPS] Membership deleted successfully');
 
     return createResponse(200, { message: 'Membership deleted successfully' });
 
   } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      return createResponse(409, { error: 'Membership changed while deleting, please try again' });
+    }
     console.error('[MEMBERSHIPS] Delete membership error:', error);
     return createResponse(500, { error: 'Internal server error' });
   }
 };
 
-// Get current user's memberships with resolved profiles
-const handleGetMyMemberships = async (event) => {
+// Transfer ownership - the caller's owner membership and the target membership swap roles
+// and permissions, and the artist's owner_user_id moves to the target, in one transaction
+const handleTransferOwnership = async (event, artistId) => {
   const authResult = requireAuth(event);
   if (authResult.error) {
     return createResponse(401, { error: authResult.error });
@@ -452,63 +1246,567 @@ const handleGetMyMemberships = async (event) => {
   const { user } = authResult;
 
   try {
-    console.log('[MEMBERSHIPS] Getting memberships for user', { userId: user.userId });
+    const { membershipId: targetMembershipId, userId: targetUserId } = JSON.parse(event.body || '{}');
 
-    // Query memberships by user_id
-    const membershipsResult = await dynamodb.query({
-      TableName: MEMBERSHIPS_TABLE,
-      IndexName: 'user_id-index',
-      KeyConditionExpression: 'user_id = :userId',
-      ExpressionAttributeValues: {
-        ':userId': user.userId
+    if (!targetMembershipId && !targetUserId) {
+      return createResponse(400, { error: 'membershipId or userId is required' });
+    }
+
+    const memberships = await getArtistMemberships(artistId);
+    const current = memberships.find(m => m.user_id === user.userId);
+
+    if (!isArtistOwner(current)) {
+      return createResponse(403, { error: 'Only an owner can transfer ownership of this artist' });
+    }
+
+    const target = memberships.find(m => targetMembershipId
+      ? m.membership_id === targetMembershipId
+      : m.user_id === targetUserId);
+
+    if (!target) {
+      return createResponse(404, { error: 'Target must be an active member of this artist' });
+    }
+
+    if (target.membership_id === current.membership_id) {
+      return createResponse(400, { error: 'You already own this artist' });
+    }
+
+    if (isArtistOwner(target)) {
+      return createResponse(409, { error: 'Target member is already an owner' });
+    }
+
+    console.log('[MEMBERSHIPS] Transferring ownership', {
+      artistId,
+      from: current.membership_id,
+      to: target.membership_id
+    });
+
+    const now = new Date().toISOString();
+
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          {
+            Update: {
+              TableName: MEMBERSHIPS_TABLE,
+              Key: { membership_id: current.membership_id },
+              UpdateExpression: 'SET #role = :role, permissions = :permissions, updated_at = :now',
+              ConditionExpression: '#role = :owner AND #status = :active',
+              ExpressionAttributeNames: { '#role': 'role', '#status': 'status' },
+              ExpressionAttributeValues: {
+                ':role': target.role,
+                ':permissions': target.permissions || [],
+                ':owner': 'owner',
+                ':active': 'active',
+                ':now': now
+              }
+            }
+          },
+          {
+            Update: {
+              TableName: MEMBERSHIPS_TABLE,
+              Key: { membership_id: target.membership_id },
+              UpdateExpression: 'SET #role = :owner, permissions = :permissions, updated_at = :now',
+              ConditionExpression: '#role = :role AND #status = :active AND artist_id = :artistId',
+              ExpressionAttributeNames: { '#role': 'role', '#status': 'status' },
+              ExpressionAttributeValues: {
+                ':owner': 'owner',
+                ':permissions': [...ARTIST_PERMISSIONS],
+                ':role': target.role,
+                ':active': 'active',
+                ':artistId': artistId,
+                ':now': now
+              }
+            }
+          },
+          {
+            Update: {
+              TableName: ARTISTS_TABLE,
+              Key: { id: artistId },
+              UpdateExpression: 'SET owner_user_id = :ownerUserId, updated_at = :now',
+              ConditionExpression: 'attribute_exists(id)',
+              ExpressionAttributeValues: {
+                ':ownerUserId': target.user_id,
+                ':now': now
+              }
+            }
+          },
+          ...[
+            ...buildMembershipChangeEvents(current, { role: target.role, permissions: target.permissions || [] }, user.userId),
+            ...buildMembershipChangeEvents(target, { role: 'owner', permissions: [...ARTIST_PERMISSIONS] }, user.userId)
+          ].map(buildMembershipEventItem)
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        return createResponse(409, { error: 'Memberships changed while transferring ownership, please try again' });
       }
+      throw error;
+    }
+
+    const artistResult = await dynamodb.get({
+      TableName: ARTISTS_TABLE,
+      Key: { id: artistId }
     }).promise();
 
-    console.log('[MEMBERSHIPS] Found', membershipsResult.Items.length, 'memberships');
+    const artistName = artistResult.Item?.name || 'an artist';
 
-    if (membershipsResult.Items.length === 0) {
-      return createResponse(200, { user: { id: user.userId }, artists: [] });
+    await notify({
+      userId: target.user_id,
+      type: 'artist.ownership_transferred',
+      actorUserId: user.userId,
+      title: `You are now the owner of ${artistName}`,
+      body: `Ownership of ${artistName} was transferred to you.`,
+      link: `/artists/${artistId}`,
+      data: { artistId, membershipId: target.membership_id }
+    });
+
+    const [previousOwner, newOwner] = await resolveMembershipProfiles([
+      { ...current, role: target.role, permissions: target.permissions || [], updated_at: now },
+      { ...target, role: 'owner', permissions: [...ARTIST_PERMISSIONS], updated_at: now }
+    ]);
+
+    console.log('[MEMBERSHIPS] Ownership transferred');
+
+    return createResponse(200, {
+      previousOwner,
+      newOwner,
+      message: 'Ownership transferred successfully'
+    });
+
+  } catch (error) {
+    console.error('[MEMBERSHIPS] Transfer ownership error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Leave an artist - removes the caller's own membership (the last owner must transfer first)
+const handleLeaveArtist = async (event, artistId) => {
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    const memberships = await getArtistMemberships(artistId);
+    const membership = memberships.find(m => m.user_id === user.userId);
+
+    if (!membership) {
+      return createResponse(404, { error: 'You are not a member of this artist' });
     }
 
-    // Batch get artist details
-    const artistIds = membershipsResult.Items.map(m => m.artist_id);
-    const artistKeys = artistIds.map(id => ({ id }));
+    const remainingOwners = memberships.filter(m =>
+      isArtistOwner(m) && m.membership_id !== membership.membership_id);
+
+    if (isArtistOwner(membership) && remainingOwners.length === 0) {
+      return createResponse(409, { error: LAST_OWNER_ERROR });
+    }
+
+    console.log('[MEMBERSHIPS] Leaving artist', { artistId, membershipId: membership.membership_id });
+
+    // An owner leaving hands owner_user_id to one of the remaining owners, and only commits
+    // while owner_count says another owner remains
+    if (isArtistOwner(membership)) {
+      await ensureOwnerCount(artistId);
+    }
 
-    const artistsResult = await dynamodb.batchGet({
-      RequestItems: {
-        [ARTISTS_TABLE]: {
-          Keys: artistKeys
+    const artistUpdate = isArtistOwner(membership)
+      ? {
+        UpdateExpression: 'ADD member_count :dec, owner_count :dec SET owner_user_id = :ownerUserId, updated_at = :now',
+        ConditionExpression: 'attribute_exists(id) AND owner_count >= :minOwners',
+        ExpressionAttributeValues: {
+          ':dec': -1,
+          ':minOwners': 2,
+          ':ownerUserId': remainingOwners[0].user_id,
+          ':now': new Date().toISOString()
         }
       }
+      : {
+        UpdateExpression: 'ADD member_count :dec',
+        ExpressionAttributeValues: { ':dec': -1 }
+      };
+
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          ...buildMembershipDeleteItems(membership, { adjustCount: false }),
+          // Another owner must still be there when we commit
+          ...(isArtistOwner(membership) ? [{
+            ConditionCheck: {
+              TableName: MEMBERSHIPS_TABLE,
+              Key: { membership_id: remainingOwners[0].membership_id },
+              ConditionExpression: '#role = :owner AND #status = :active',
+              ExpressionAttributeNames: { '#role': 'role', '#status': 'status' },
+              ExpressionAttributeValues: { ':owner': 'owner', ':active': 'active' }
+            }
+          }] : []),
+          {
+            Update: {
+              TableName: ARTISTS_TABLE,
+              Key: { id: artistId },
+              ConditionExpression: 'attribute_exists(id)',
+              ...artistUpdate
+            }
+          },
+          buildMembershipEventItem({
+            type: 'left',
+            membership,
+            actorUserId: user.userId,
+            before: { role: membership.role, permissions: membership.permissions || [] }
+          })
+        ]
+      }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        return createResponse(409, { error: 'Memberships changed while leaving, please try again' });
+      }
+      throw error;
+    }
+
+    console.log('[MEMBERSHIPS] Left artist successfully');
+
+    return createResponse(200, { message: 'You have left this artist' });
+
+  } catch (error) {
+    console.error('[MEMBERSHIPS] Leave artist error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Artist roles - custom roles hold a permission set from the catalogue, assigned to members by id
+const MAX_CUSTOM_ROLES_PER_ARTIST = 20;
+const MAX_ROLE_NAME_LENGTH = 50;
+const MAX_ROLE_DESCRIPTION_LENGTH = 200;
+
+// Helper: Validate a role body - returns { values } or { errors } (field -> message).
+// For updates (partial) only the supplied fields are validated.
+const validateRoleInput = ({ name, description, permissions }, { partial = false } = {}) => {
+  const errors = {};
+  const values = {};
+
+  if (name !== undefined || !partial) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_ROLE_NAME_LENGTH) {
+      errors.name = `Name is required and must be at most ${MAX_ROLE_NAME_LENGTH} characters`;
+    } else {
+      values.name = trimmed;
+    }
+  }
+
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string' || description.trim().length > MAX_ROLE_DESCRIPTION_LENGTH) {
+      errors.description = `Description must be text of at most ${MAX_ROLE_DESCRIPTION_LENGTH} characters`;
+    } else {
+      values.description = description.trim() || null;
+    }
+  } else if (description === null || !partial) {
+    values.description = null;
+  }
+
+  if (permissions !== undefined || !partial) {
+    if (!isValidPermissionList(permissions)) {
+      errors.permissions = `Permissions must be a list drawn from: ${ARTIST_PERMISSIONS.join(', ')}`;
+    } else {
+      values.permissions = [...new Set(permissions)];
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { values };
+};
+
+// Helper: True if another role of the artist already uses this name (built-ins included)
+const isRoleNameTaken = (roles, name, exceptRoleId = null) =>
+  roles.some(role => role.role_id !== exceptRoleId && role.name.toLowerCase() === name.toLowerCase());
+
+// List an artist's roles (built-in first) with member counts, plus the permission catalogue (members only)
+const handleListArtistRoles = async (event, artistId) => {
+  const permission = await requireArtistPermission(event, artistId, MEMBERS_ONLY);
+  if (permission.error) {
+    return createResponse(permission.statusCode, { error: permission.error });
+  }
+
+  try {
+    const [roles, memberships] = await Promise.all([
+      getArtistRoles(artistId),
+      queryArtistMemberships(artistId)
+    ]);
+
+    return createResponse(200, {
+      roles: roles.map(role => ({
+        ...formatArtistRole(role),
+        memberCount: memberships.filter(m => m.status === 'active' && m.role === role.role_id).length
+      })),
+      permissions: Object.entries(PERMISSION_CATALOGUE).map(([id, description]) => ({ id, description }))
+    });
+
+  } catch (error) {
+    console.error('[MEMBERSHIPS] List artist roles error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Create a custom role
+const handleCreateArtistRole = async (event, artistId) => {
+  const permission = await requireArtistPermission(event, artistId, 'manage_members');
+  if (permission.error) {
+    return createResponse(permission.statusCode, { error: permission.error });
+  }
+
+  try {
+    const validation = validateRoleInput(JSON.parse(event.body || '{}'));
+    if (validation.errors) {
+      return createResponse(422, { error: 'Validation failed', errors: validation.errors });
+    }
+
+    const { values } = validation;
+
+    const unheldPermissions = getUnheldPermissions(permission, values.permissions);
+    if (unheldPermissions.length > 0) {
+      return createResponse(403, { error: UNHELD_PERMISSIONS_ERROR, permissions: unheldPermissions });
+    }
+
+    const roles = await getArtistRoles(artistId);
+
+    if (roles.filter(role => !role.built_in).length >= MAX_CUSTOM_ROLES_PER_ARTIST) {
+      return createResponse(409, { error: `An artist can have at most ${MAX_CUSTOM_ROLES_PER_ARTIST} custom roles` });
+    }
+
+    if (isRoleNameTaken(roles, values.name)) {
+      return createResponse(409, { error: 'A role with this name already exists' });
+    }
+
+    const now = new Date().toISOString();
+    const role = {
+      artist_id: artistId,
+      role_id: crypto.randomUUID(),
+      name: values.name,
+      description: values.description,
+      permissions: values.permissions,
+      created_by_user_id: permission.user.userId,
+      created_at: now,
+      updated_at: now
+    };
+
+    await dynamodb.put({
+      TableName: ARTIST_ROLES_TABLE,
+      Item: role,
+      ConditionExpression: 'attribute_not_exists(role_id)'
     }).promise();
 
-    const artists = artistsResult.Responses[ARTISTS_TABLE] || [];
-
-    // Resolve profile inheritance for each membership
-    const resolvedMemberships = await Promise.all(
-      membershipsResult.Items.map(async (membership) => {
-        const resolvedMembership = await resolveMembershipProfile(membership, user.userId);
-        const artist = artists.find(a => a.id === membership.artist_id);
-
-        return {
-          ...resolvedMembership,
-          // Add full artist details
-          name: artist?.name || 'Unknown Artist',
-          artist: artist ? {
-            id: artist.id,
-            name: artist.name,
-            artistType: artist.artist_type || 'band',
-            bio: artist.bio,
-            location: artist.location,
-            genres: artist.genres || [],
-            profileImageUrl: artist.profileImageUrl,
-            isVerified: artist.isVerified || false,
-            memberCount: artist.member_count || 0,
-            createdAt: artist.created_at
-          } : null
-        };
-      })
-    );
+    console.log('[MEMBERSHIPS] Artist role created', { artistId, roleId: role.role_id });
+
+    return createResponse(201, { role: formatArtistRole(role), message: 'Role created' });
+
+  } catch (error) {
+    console.error('[MEMBERSHIPS] Create artist role error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Helper: Copy a role's permissions onto every membership holding it, with history entries.
+// Memberships whose role changed in the meantime are skipped. Returns the number updated.
+const propagateRolePermissions = async (role, actorUserId) => {
+  const memberships = (await queryArtistMemberships(role.artist_id)).filter(m => m.role === role.role_id);
+  let updated = 0;
+
+  for (const membership of memberships) {
+    const historyEvents = buildMembershipChangeEvents(membership, { permissions: role.permissions }, actorUserId)
+      .map(historyEvent => ({ ...historyEvent, details: { ...historyEvent.details, roleId: role.role_id } }));
+
+    if (historyEvents.length === 0) continue;
+
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          {
+            Update: {
+              TableName: MEMBERSHIPS_TABLE,
+              Key: { membership_id: membership.membership_id },
+              UpdateExpression: 'SET permissions = :permissions, updated_at = :now',
+              ConditionExpression: '#role = :roleId',
+              ExpressionAttributeNames: { '#role': 'role' },
+              ExpressionAttributeValues: {
+                ':permissions': role.permissions,
+                ':roleId': role.role_id,
+                ':now': new Date().toISOString()
+              }
+            }
+          },
+          ...historyEvents.map(buildMembershipEventItem)
+        ]
+      }).promise();
+      updated++;
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException') throw error;
+    }
+  }
+
+  return updated;
+};
+
+// Edit a custom role - permission changes apply to every member holding it
+const handleUpdateArtistRole = async (event, artistId, roleId) => {
+  const permission = await requireArtistPermission(event, artistId, 'manage_members');
+  if (permission.error) {
+    return createResponse(permission.statusCode, { error: permission.error });
+  }
+
+  try {
+    if (isBuiltInArtistRole(roleId)) {
+      return createResponse(400, { error: 'Built-in roles cannot be changed' });
+    }
+
+    const validation = validateRoleInput(JSON.parse(event.body || '{}'), { partial: true });
+    if (validation.errors) {
+      return createResponse(422, { error: 'Validation failed', errors: validation.errors });
+    }
+
+    const { values } = validation;
+
+    const unheldPermissions = values.permissions ? getUnheldPermissions(permission, values.permissions) : [];
+    if (unheldPermissions.length > 0) {
+      return createResponse(403, { error: UNHELD_PERMISSIONS_ERROR, permissions: unheldPermissions });
+    }
+
+    const roles = await getArtistRoles(artistId);
+    const existing = roles.find(role => role.role_id === roleId);
+
+    if (!existing) {
+      return createResponse(404, { error: 'Role not found' });
+    }
+
+    if (values.name && isRoleNameTaken(roles, values.name, roleId)) {
+      return createResponse(409, { error: 'A role with this name already exists' });
+    }
+
+    const fields = Object.keys(values);
+    if (fields.length === 0) {
+      return createResponse(400, { error: 'Nothing to update' });
+    }
+
+    const result = await dynamodb.update({
+      TableName: ARTIST_ROLES_TABLE,
+      Key: { artist_id: artistId, role_id: roleId },
+      UpdateExpression: 'SET ' + [...fields.map(field => `#${field} = :${field}`), 'updated_at = :now'].join(', '),
+      ConditionExpression: 'attribute_exists(role_id)',
+      ExpressionAttributeNames: Object.fromEntries(fields.map(field => [`#${field}`, field])),
+      ExpressionAttributeValues: {
+        ...Object.fromEntries(fields.map(field => [`:${field}`, values[field]])),
+        ':now': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    const role = result.Attributes;
+    const membersUpdated = values.permissions
+      ? await propagateRolePermissions(role, permission.user.userId)
+      : 0;
+
+    console.log('[MEMBERSHIPS] Artist role updated', { artistId, roleId, fields, membersUpdated });
+
+    return createResponse(200, { role: formatArtistRole(role), membersUpdated, message: 'Role updated' });
+
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createResponse(404, { error: 'Role not found' });
+    }
+    console.error('[MEMBERSHIPS] Update artist role error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Delete a custom role - only once no member or invitation holds it
+const handleDeleteArtistRole = async (event, artistId, roleId) => {
+  const permission = await requireArtistPermission(event, artistId, 'manage_members');
+  if (permission.error) {
+    return createResponse(permission.statusCode, { error: permission.error });
+  }
+
+  try {
+    if (isBuiltInArtistRole(roleId)) {
+      return createResponse(400, { error: 'Built-in roles cannot be deleted' });
+    }
+
+    const holders = (await queryArtistMemberships(artistId)).filter(m => m.role === roleId);
+    if (holders.length > 0) {
+      return createResponse(409, {
+        error: 'This role is still assigned - give those members another role first',
+        memberCount: holders.length
+      });
+    }
+
+    await dynamodb.delete({
+      TableName: ARTIST_ROLES_TABLE,
+      Key: { artist_id: artistId, role_id: roleId },
+      ConditionExpression: 'attribute_exists(role_id)'
+    }).promise();
+
+    console.log('[MEMBERSHIPS] Artist role deleted', { artistId, roleId });
+
+    return createResponse(200, { message: 'Role deleted' });
+
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createResponse(404, { error: 'Role not found' });
+    }
+    console.error('[MEMBERSHIPS] Delete artist role error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Get current user's memberships with resolved profiles
+const handleGetMyMemberships = async (event) => {
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    console.log('[MEMBERSHIPS] Getting memberships for user', { userId: user.userId });
+
+    // Active memberships only (pending invitations are not memberships yet)
+    const memberships = await getUserMemberships(user.userId);
+
+    console.log('[MEMBERSHIPS] Found', memberships.length, 'memberships');
+
+    if (memberships.length === 0) {
+      return createResponse(200, { user: { id: user.userId }, artists: [] });
+    }
+
+    // Batch get artist details
+    const artists = await getArtistsByIds(memberships.map(m => m.artist_id), {
+      projection: 'id, #name, artist_type, bio, #location, genres, profileImageUrl, isVerified, member_count, created_at',
+      expressionAttributeNames: { '#name': 'name', '#location': 'location' }
+    });
+
+    // Resolve profile inheritance for each membership (one user read - they're all the caller's)
+    const profiles = await resolveMembershipProfiles(memberships);
+
+    const resolvedMemberships = profiles.map((resolvedMembership) => {
+      const artist = artists.get(resolvedMembership.artist_id);
+
+      return {
+        ...resolvedMembership,
+        // Add full artist details
+        name: artist?.name || 'Unknown Artist',
+        artist: artist ? {
+          id: artist.id,
+          name: artist.name,
+          artistType: artist.artist_type || 'band',
+          bio: artist.bio,
+          location: artist.location,
+          genres: artist.genres || [],
+          profileImageUrl: artist.profileImageUrl,
+          isVerified: artist.isVerified || false,
+          memberCount: artist.member_count || 0,
+          createdAt: artist.created_at
+        } : null
+      };
+    });
 
     return createResponse(200, {
       user: { id: user.userId },
@@ -553,12 +1851,69 @@ exports.handler = async (event, context) => {
       return await handleGetMyMemberships(event);
     }
 
+    // Invitations - /api/invitations/{token}[/accept|/decline]
+    const invitationMatch = path.match(/^\/api\/invitations\/([^/]+)(?:\/(accept|decline))?$/);
+    if (invitationMatch) {
+      const token = decodeURIComponent(invitationMatch[1]);
+      const action = invitationMatch[2];
+
+      if (method === 'GET' && !action) {
+        return await handleGetInvitation(event, token);
+      }
+
+      if (method === 'POST' && action === 'accept') {
+        return await handleAcceptInvitation(event, token);
+      }
+
+      if (method === 'POST' && action === 'decline') {
+        return await handleDeclineInvitation(event, token);
+      }
+    }
+
+    if (method === 'POST' && membershipId && path.endsWith('/resend')) {
+      return await handleResendInvitation(event, membershipId);
+    }
+
+    if (method === 'POST' && artistId && path.endsWith('/transfer-ownership')) {
+      return await handleTransferOwnership(event, artistId);
+    }
+
+    if (method === 'POST' && artistId && path.endsWith('/leave')) {
+      return await handleLeaveArtist(event, artistId);
+    }
+
+    // Artist roles - /api/artists/{artistId}/roles[/{roleId}]
+    const roleMatch = path.match(/^\/api\/artists\/[^/]+\/roles(?:\/([^/]+))?$/);
+    if (artistId && roleMatch) {
+      const roleId = event.pathParameters?.roleId || (roleMatch[1] && decodeURIComponent(roleMatch[1]));
+
+      if (method === 'GET' && !roleId) {
+        return await handleListArtistRoles(event, artistId);
+      }
+
+      if (method === 'POST' && !roleId) {
+        return await handleCreateArtistRole(event, artistId);
+      }
+
+      if (method === 'PUT' && roleId) {
+        return await handleUpdateArtistRole(event, artistId, roleId);
+      }
+
+      if (method === 'DELETE' && roleId) {
+        return await handleDeleteArtistRole(event, artistId, roleId);
+      }
+    }
+
+    if (method === 'GET' && artistId && path.endsWith('/members/history')) {
+      return await handleGetMembershipHistory(event, artistId);
+    }
+
     if (method === 'GET' && path.includes('/artists/') && path.includes('/members')) {
       return await handleGetArtistMembers(event, artistId);
     }
 
     if (method === 'POST' && path.includes('/artists/') && path.includes('/members')) {
-      return await handleAddMember(event, artistId);
+      return await handleInviteMember(event, artistId);
     }
 
     if (method === 'PUT' && membershipId) {
@@ -0,0 +1,125 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// bndy-shared is linked from ../shared and loads its own copy of aws-sdk - stub both
+const sdks = [
+  require('aws-sdk'),
+  require(require.resolve('aws-sdk', { paths: [path.dirname(require.resolve('bndy-shared'))] }))
+];
+
+const { handler } = require('../handler');
+
+const USER_ID = 'user-0';
+
+// DocumentClient stand-in: answers from the fixtures below and records every call
+const mockDynamoDB = ({ memberships = [], artists = [], users = [] }) => {
+  const calls = { get: [], query: [], batchGet: [] };
+  const tables = {
+    'bndy-artists': { items: artists, key: 'id' },
+    'bndy-users': { items: users, key: 'cognito_id' }
+  };
+
+  const respond = {
+    get: () => ({}),
+    query: (params) => {
+      if (params.TableName !== 'bndy-artist-memberships') return { Items: [] };
+
+      const [field, value] = params.IndexName === 'user_id-index'
+        ? ['user_id', params.ExpressionAttributeValues[':userId']]
+        : ['artist_id', params.ExpressionAttributeValues[':artistId']];
+      return { Items: memberships.filter(m => m[field] === value) };
+    },
+    batchGet: (params) => ({
+      Responses: Object.fromEntries(Object.entries(params.RequestItems).map(([tableName, { Keys }]) => {
+        const { items, key } = tables[tableName];
+        return [tableName, items.filter(item => Keys.some(k => k[key] === item[key]))];
+      })),
+      UnprocessedKeys: {}
+    })
+  };
+
+  for (const AWS of sdks) {
+    for (const method of Object.keys(calls)) {
+      mock.method(AWS.DynamoDB.DocumentClient.prototype, method, (params) => {
+        calls[method].push(params);
+        return { promise: async () => respond[method](params) };
+      });
+    }
+  }
+
+  return calls;
+};
+
+const membership = (artistId, userId, extra = {}) => ({
+  membership_id: `${artistId}-${userId}`,
+  artist_id: artistId,
+  user_id: userId,
+  role: 'member',
+  status: 'active',
+  permissions: [],
+  ...extra
+});
+
+const getEvent = (requestPath, pathParameters = {}) => ({
+  version: '2.0',
+  headers: {},
+  pathParameters,
+  requestContext: {
+    http: { method: 'GET', path: requestPath },
+    authorizer: { lambda: { userId: USER_ID, role: 'user' } }
+  }
+});
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test('listing a 20-member band reads the members with one query and one batchGet', async () => {
+  const userIds = Array.from({ length: 20 }, (_, i) => `user-${i}`);
+  const calls = mockDynamoDB({
+    memberships: userIds.map(userId => membership('artist-1', userId)),
+    users: userIds.map(userId => ({ cognito_id: userId, display_name: `Member ${userId}` }))
+  });
+
+  const response = await handler(getEvent('/api/artists/artist-1/members', { artistId: 'artist-1' }), {});
+  const body = JSON.parse(response.body);
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(body.count, 20);
+  assert.equal(body.members[19].resolved_display_name, 'Member user-19');
+
+  // The permission check reads the artist's active memberships (filtered); the list reads them all once
+  const membershipQueries = calls.query.filter(q => q.TableName === 'bndy-artist-memberships');
+  assert.equal(membershipQueries.filter(q => !q.FilterExpression).length, 1);
+  assert.equal(membershipQueries.length, 2);
+
+  assert.equal(calls.batchGet.length, 1);
+  assert.equal(calls.batchGet[0].RequestItems['bndy-users'].Keys.length, 20);
+  assert.equal(calls.get.length, 0);
+});
+
+test('my memberships across several artists read the caller once', async () => {
+  const artistIds = ['artist-1', 'artist-2', 'artist-3', 'artist-4', 'artist-5'];
+  const calls = mockDynamoDB({
+    memberships: artistIds.map(artistId => membership(artistId, USER_ID)),
+    artists: artistIds.map(id => ({ id, name: `Band ${id}` })),
+    users: [{ cognito_id: USER_ID, display_name: 'Me' }]
+  });
+
+  const response = await handler(getEvent('/api/memberships/me'), {});
+  const body = JSON.parse(response.body);
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(body.artists.length, 5);
+  assert.ok(body.artists.every(m => m.resolved_display_name === 'Me' && m.artist));
+
+  assert.equal(calls.query.length, 1);
+  assert.deepEqual(calls.batchGet.map(b => Object.keys(b.RequestItems)), [['bndy-artists'], ['bndy-users']]);
+  assert.equal(calls.batchGet[0].RequestItems['bndy-artists'].Keys.length, 5);
+  assert.deepEqual(calls.batchGet[1].RequestItems['bndy-users'].Keys, [{ cognito_id: USER_ID }]);
+  assert.equal(calls.get.length, 0);
+});
@@ -0,0 +1,368 @@
+// BNDY Notifications Lambda Function - In-app notifications feed and preferences
+// Handles: /notifications, /notifications/read, /notifications/preferences
+// Notifications are written by other Lambdas through notify() in bndy-shared
+
+const AWS = require('aws-sdk');
+const {
+  requireAuth,
+  NOTIFICATIONS_TABLE,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  resolveNotificationPreferences
+} = require('bndy-shared');
+
+// AWS Services
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+// Configuration
+const USERS_TABLE = 'bndy-users';
+const FRONTEND_URL = 'https://backstage.bndy.co.uk';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_MARK_READ_IDS = 100;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': FRONTEND_URL,
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization,Cookie',
+  'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+  'Access-Control-Allow-Credentials': 'true'
+};
+
+// Create response
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    ...corsHeaders
+  },
+  body: JSON.stringify(body)
+});
+
+// Opaque pagination cursor - the query LastEvaluatedKey, base64url encoded
+const encodeCursor = (key) => (key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null);
+
+const decodeCursor = (cursor) => {
+  const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (!key || typeof key !== 'object' || Array.isArray(key)) {
+    throw new Error('Invalid cursor');
+  }
+  return key;
+};
+
+const formatNotification = (notification) => ({
+  id: notification.notification_id,
+  type: notification.type,
+  title: notification.title,
+  body: notification.body,
+  link: notification.link || null,
+  data: notification.data || {},
+  read: !!notification.read_at,
+  readAt: notification.read_at || null,
+  createdAt: notification.created_at
+});
+
+// Unread notifications in the user's partition (bounded by the 90 day TTL)
+const getUnreadNotifications = async (userId, { countOnly = false } = {}) => {
+  const items = [];
+  let count = 0;
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: NOTIFICATIONS_TABLE,
+      KeyConditionExpression: 'user_id = :userId',
+      FilterExpression: 'attribute_not_exists(read_at)',
+      ExpressionAttributeValues: { ':userId': userId },
+      ...(countOnly ? { Select: 'COUNT' } : { ProjectionExpression: 'user_id, notification_id' }),
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    count += result.Count;
+    if (!countOnly) items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return countOnly ? count : items;
+};
+
+// Notifications feed, newest first - ?limit, ?cursor, ?unreadOnly=true
+const handleListNotifications = async (event) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+  const params = event.queryStringParameters || {};
+
+  try {
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const unreadOnly = params.unreadOnly === 'true';
+
+    let exclusiveStartKey;
+    if (params.cursor) {
+      try {
+        exclusiveStartKey = decodeCursor(params.cursor);
+      } catch (error) {
+        return createResponse(400, { error: 'Invalid cursor' });
+      }
+    }
+
+    console.log('NOTIFICATIONS: List request', { limit, unreadOnly, hasCursor: !!exclusiveStartKey });
+
+    // Limit applies before the filter, so keep querying until the page is full
+    const items = [];
+
+    do {
+      const result = await dynamodb.query({
+        TableName: NOTIFICATIONS_TABLE,
+        KeyConditionExpression: 'user_id = :userId',
+        ...(unreadOnly && { FilterExpression: 'attribute_not_exists(read_at)' }),
+        ExpressionAttributeValues: { ':userId': user.userId },
+        ScanIndexForward: false,
+        Limit: limit - items.length,
+        ExclusiveStartKey: exclusiveStartKey
+      }).promise();
+
+      items.push(...result.Items);
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey && items.length < limit);
+
+    const unreadCount = await getUnreadNotifications(user.userId, { countOnly: true });
+
+    return createResponse(200, {
+      notifications: items.map(formatNotification),
+      unreadCount,
+      nextCursor: encodeCursor(exclusiveStartKey)
+    });
+
+  } catch (error) {
+    console.error('NOTIFICATIONS: List error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Mark notifications read - body { ids: [...] } or { all: true }
+const handleMarkRead = async (event) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    const { ids, all = false } = JSON.parse(event.body || '{}');
+
+    if (!all && (!Array.isArray(ids) || ids.length === 0)) {
+      return createResponse(400, { error: 'Provide ids (array) or all: true' });
+    }
+
+    if (!all && (ids.length > MAX_MARK_READ_IDS || ids.some(id => typeof id !== 'string'))) {
+      return createResponse(400, { error: `ids must be at most ${MAX_MARK_READ_IDS} notification id strings` });
+    }
+
+    const notificationIds = all
+      ? (await getUnreadNotifications(user.userId)).map(n => n.notification_id)
+      : [...new Set(ids)];
+
+    console.log('NOTIFICATIONS: Mark read request', { all, count: notificationIds.length });
+
+    const now = new Date().toISOString();
+    let marked = 0;
+
+    for (const notificationId of notificationIds) {
+      try {
+        await dynamodb.update({
+          TableName: NOTIFICATIONS_TABLE,
+          Key: { user_id: user.userId, notification_id: notificationId },
+          UpdateExpression: 'SET read_at = :now',
+          // Only the caller's own, existing, unread notifications
+          ConditionExpression: 'attribute_exists(notification_id) AND attribute_not_exists(read_at)',
+          ExpressionAttributeValues: { ':now': now }
+        }).promise();
+        marked++;
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') throw error;
+      }
+    }
+
+    const unreadCount = await getUnreadNotifications(user.userId, { countOnly: true });
+
+    return createResponse(200, { marked, unreadCount });
+
+  } catch (error) {
+    console.error('NOTIFICATIONS: Mark read error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+const formatPreferences = (dbUser) => {
+  const preferences = resolveNotificationPreferences(dbUser);
+
+  return Object.entries(NOTIFICATION_TYPES).map(([type, { description }]) => ({
+    type,
+    description,
+    ...preferences[type]
+  }));
+};
+
+// Per-type channel preferences (stored on the bndy-users record)
+const handleGetPreferences = async (event) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: user.userId },
+      ProjectionExpression: 'cognito_id, notification_preferences'
+    }).promise();
+
+    if (!userResult.Item) {
+      return createResponse(404, { error: 'User not found' });
+    }
+
+    return createResponse(200, { preferences: formatPreferences(userResult.Item) });
+
+  } catch (error) {
+    console.error('NOTIFICATIONS: Get preferences error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Update preferences - body { preferences: { 'issue.status_changed': { email: true }, ... } }.
+// Only supplied types/channels change.
+const handleUpdatePreferences = async (event) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    const { preferences } = JSON.parse(event.body || '{}');
+
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      return createResponse(400, { error: 'preferences object is required' });
+    }
+
+    const errors = {};
+
+    for (const [type, channels] of Object.entries(preferences)) {
+      if (!Object.prototype.hasOwnProperty.call(NOTIFICATION_TYPES, type)) {
+        errors[type] = 'Unknown notification type';
+      } else if (!channels || typeof channels !== 'object' ||
+        Object.entries(channels).some(([channel, enabled]) =>
+          !NOTIFICATION_CHANNELS.includes(channel) || typeof enabled !== 'boolean')) {
+        errors[type] = `Channels must be booleans for: ${NOTIFICATION_CHANNELS.join(', ')}`;
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return createResponse(422, { error: 'Validation failed', errors });
+    }
+
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: user.userId },
+      ProjectionExpression: 'cognito_id, notification_preferences'
+    }).promise();
+
+    if (!userResult.Item) {
+      return createResponse(404, { error: 'User not found' });
+    }
+
+    const stored = userResult.Item.notification_preferences || {};
+    const merged = { ...stored };
+
+    for (const [type, channels] of Object.entries(preferences)) {
+      merged[type] = { ...(stored[type] || {}), ...channels };
+    }
+
+    const updateResult = await dynamodb.update({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: user.userId },
+      UpdateExpression: 'SET notification_preferences = :preferences, updated_at = :now',
+      ExpressionAttributeValues: {
+        ':preferences': merged,
+        ':now': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    console.log('NOTIFICATIONS: Preferences updated', { types: Object.keys(preferences) });
+
+    return createResponse(200, { preferences: formatPreferences(updateResult.Attributes) });
+
+  } catch (error) {
+    console.error('NOTIFICATIONS: Update preferences error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Main handler
+exports.handler = async (event, context) => {
+  // HTTP API v2 payload format compatibility
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  const path = event.requestContext?.http?.path || event.rawPath || event.path;
+  const routeKey = `${method} ${path}`;
+
+  console.log('NOTIFICATIONS: Request received', {
+    routeKey,
+    method,
+    path,
+    version: event.version || 'v2.0'
+  });
+
+  // Handle CORS preflight
+  if (method === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: ''
+    };
+  }
+
+  try {
+    if (routeKey === 'GET /notifications') {
+      return await handleListNotifications(event);
+    }
+
+    if (routeKey === 'POST /notifications/read') {
+      return await handleMarkRead(event);
+    }
+
+    if (routeKey === 'GET /notifications/preferences') {
+      return await handleGetPreferences(event);
+    }
+
+    if (routeKey === 'PUT /notifications/preferences') {
+      return await handleUpdatePreferences(event);
+    }
+
+    // Route not found
+    return createResponse(404, {
+      error: 'Route not found',
+      routeKey,
+      path,
+      method
+    });
+
+  } catch (error) {
+    console.error('NOTIFICATIONS: Unexpected error:', error);
+    return createResponse(500, {
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,132 @@
+// Repair bndy-artist-memberships guards and bndy-artists member_count / owner_count
+// Recomputes member_count and owner_count for every artist from its active memberships, creates the
+// (artist, user) / (artist, email) guard items for memberships written before guards
+// existed and removes guards whose membership is gone. Duplicate memberships of the same
+// person are reported, not deleted. Safe to re-run; pass --dry-run to only report.
+const AWS = require('aws-sdk');
+const {
+  isMembershipGuard,
+  isCountedMembership,
+  isCountedOwner,
+  membershipGuardKey,
+  buildGuardPut
+} = require('./shared/memberships');
+
+AWS.config.update({ region: 'eu-west-2' });
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function scanAll(params) {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.scan({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+
+    // Small delay to avoid throttling
+    await new Promise(resolve => setTimeout(resolve, 100));
+  } while (lastEvaluatedKey);
+
+  return items;
+}
+
+async function repairMemberCounts() {
+  console.log(`🔧 Repairing memberships${DRY_RUN ? ' (dry run)' : ''}...`);
+
+  try {
+    const items = await scanAll({ TableName: 'bndy-artist-memberships' });
+    const guards = new Map(items.filter(isMembershipGuard).map(guard => [guard.membership_id, guard]));
+    const memberships = items.filter(item => !isMembershipGuard(item));
+    console.log(`✅ Scanned ${memberships.length} memberships and ${guards.size} guards`);
+
+    // Guards - one per membership
+    const membershipsById = new Map(memberships.map(m => [m.membership_id, m]));
+    const guardKeys = new Set();
+    let guardsCreated = 0;
+    let guardsRemoved = 0;
+
+    for (const membership of memberships) {
+      if (!membership.user_id && !membership.invited_email) {
+        console.warn(`⚠️ Membership ${membership.membership_id} has neither user_id nor invited_email`);
+        continue;
+      }
+
+      const guardKey = membershipGuardKey(membership);
+      const guard = guards.get(guardKey);
+
+      if (guardKeys.has(guardKey) || (guard && guard.membership_ref !== membership.membership_id &&
+        membershipsById.has(guard.membership_ref))) {
+        console.warn(`⚠️ Duplicate membership ${membership.membership_id} for ${guardKey}`);
+        continue;
+      }
+
+      guardKeys.add(guardKey);
+      if (guard && guard.membership_ref === membership.membership_id) continue;
+
+      if (!DRY_RUN) {
+        // Replaces a guard pointing at a deleted membership
+        const { Put: guardPut } = buildGuardPut(guardKey, membership.membership_id);
+        await dynamodb.put({ TableName: guardPut.TableName, Item: guardPut.Item }).promise();
+      }
+      guards.delete(guardKey);
+      guardsCreated++;
+    }
+
+    for (const guardKey of guards.keys()) {
+      if (guardKeys.has(guardKey)) continue;
+
+      if (!DRY_RUN) {
+        await dynamodb.delete({
+          TableName: 'bndy-artist-memberships',
+          Key: { membership_id: guardKey }
+        }).promise();
+      }
+      guardsRemoved++;
+    }
+
+    console.log(`✅ Guards created ${guardsCreated}, orphaned guards removed ${guardsRemoved}`);
+
+    // member_count / owner_count - active memberships only (including those archived with a deleted artist)
+    const activeCounts = new Map();
+    const ownerCounts = new Map();
+    memberships
+      .filter(isCountedMembership)
+      .forEach(m => activeCounts.set(m.artist_id, (activeCounts.get(m.artist_id) || 0) + 1));
+    memberships
+      .filter(isCountedOwner)
+      .forEach(m => ownerCounts.set(m.artist_id, (ownerCounts.get(m.artist_id) || 0) + 1));
+
+    const artists = await scanAll({ TableName: 'bndy-artists', ProjectionExpression: 'id, member_count, owner_count' });
+    let countsFixed = 0;
+
+    for (const artist of artists) {
+      const memberCount = activeCounts.get(artist.id) || 0;
+      const ownerCount = ownerCounts.get(artist.id) || 0;
+      if (artist.member_count === memberCount && artist.owner_count === ownerCount) continue;
+
+      console.log(`🎵 ${artist.id}: member_count ${artist.member_count ?? 'unset'} -> ${memberCount}, ` +
+        `owner_count ${artist.owner_count ?? 'unset'} -> ${ownerCount}`);
+
+      if (!DRY_RUN) {
+        await dynamodb.update({
+          TableName: 'bndy-artists',
+          Key: { id: artist.id },
+          UpdateExpression: 'SET member_count = :memberCount, owner_count = :ownerCount',
+          ExpressionAttributeValues: { ':memberCount': memberCount, ':ownerCount': ownerCount }
+        }).promise();
+      }
+      countsFixed++;
+    }
+
+    console.log(`✅ Checked ${artists.length} artists, fixed ${countsFixed} member counts`);
+    console.log('🎉 Membership repair complete!');
+
+  } catch (error) {
+    console.error('❌ Repair failed:', error);
+  }
+}
+
+repairMemberCounts();
@@ -0,0 +1,92 @@
+// BNDY Shared - Artist roles
+// Each artist can define named roles (bndy-artist-roles) whose permissions come from the
+// permission catalogue. A membership's `role` is a role id - the built-in 'owner' or 'member',
+// or a custom role's id - and its `permissions` are a copy of that role's permissions, which
+// memberships-lambda rewrites on every member holding the role when the role is edited.
+
+const AWS = require('aws-sdk');
+const { ARTIST_PERMISSIONS } = require('./permissions');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
+
+// Configuration
+const ARTIST_ROLES_TABLE = 'bndy-artist-roles';
+
+const BUILT_IN_ARTIST_ROLES = {
+  owner: {
+    name: 'Owner',
+    description: 'Full control of the artist, including deleting it and managing other owners',
+    permissions: ARTIST_PERMISSIONS
+  },
+  member: {
+    name: 'Member',
+    description: 'Can see the artist and edit their own member profile',
+    permissions: []
+  }
+};
+
+const isBuiltInArtistRole = (roleId) => Object.prototype.hasOwnProperty.call(BUILT_IN_ARTIST_ROLES, roleId);
+
+const buildBuiltInRole = (artistId, roleId) => ({
+  artist_id: artistId,
+  role_id: roleId,
+  name: BUILT_IN_ARTIST_ROLES[roleId].name,
+  description: BUILT_IN_ARTIST_ROLES[roleId].description,
+  permissions: [...BUILT_IN_ARTIST_ROLES[roleId].permissions],
+  built_in: true
+});
+
+// Built-in roles followed by the artist's custom roles
+const getArtistRoles = async (artistId) => {
+  const roles = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: ARTIST_ROLES_TABLE,
+      KeyConditionExpression: 'artist_id = :artistId',
+      ExpressionAttributeValues: { ':artistId': artistId },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    roles.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return [
+    ...Object.keys(BUILT_IN_ARTIST_ROLES).map(roleId => buildBuiltInRole(artistId, roleId)),
+    ...roles.sort((a, b) => a.name.localeCompare(b.name))
+  ];
+};
+
+// One role of an artist, or null
+const getArtistRole = async (artistId, roleId) => {
+  if (!roleId || typeof roleId !== 'string') return null;
+  if (isBuiltInArtistRole(roleId)) return buildBuiltInRole(artistId, roleId);
+
+  const result = await dynamodb.get({
+    TableName: ARTIST_ROLES_TABLE,
+    Key: { artist_id: artistId, role_id: roleId }
+  }).promise();
+
+  return result.Item || null;
+};
+
+const formatArtistRole = (role) => ({
+  id: role.role_id,
+  name: role.name,
+  description: role.description || null,
+  permissions: role.permissions || [],
+  builtIn: !!role.built_in,
+  createdAt: role.created_at || null,
+  updatedAt: role.updated_at || null
+});
+
+module.exports = {
+  ARTIST_ROLES_TABLE,
+  BUILT_IN_ARTIST_ROLES,
+  isBuiltInArtistRole,
+  getArtistRoles,
+  getArtistRole,
+  formatArtistRole
+};
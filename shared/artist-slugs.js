@@ -0,0 +1,112 @@
+// BNDY Shared - Artist slugs
+// URL-safe names for public artist pages (bndy.live/{slug}). bndy-artist-slugs holds every
+// slug an artist has ever used: the current one plus retired ones, which stay reserved for
+// that artist so old links can redirect. The artist record's `slug` is the current slug.
+
+const crypto = require('crypto');
+
+// Configuration
+const ARTIST_SLUGS_TABLE = 'bndy-artist-slugs';
+const ARTISTS_TABLE = 'bndy-artists';
+const MIN_SLUG_LENGTH = 2;
+const MAX_SLUG_LENGTH = 60;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const NUMBERED_SLUG_ATTEMPTS = 5; // name, name-2 ... name-5, then a random suffix
+
+// Top-level bndy.live paths an artist page must not shadow
+const RESERVED_SLUGS = [
+  'about', 'admin', 'api', 'artists', 'by-slug', 'events', 'gigs', 'help', 'login', 'logout',
+  'new', 'privacy', 'search', 'settings', 'signup', 'terms', 'venues'
+];
+
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+const validateSlug = (slug) => {
+  if (typeof slug !== 'string' || slug.length < MIN_SLUG_LENGTH || slug.length > MAX_SLUG_LENGTH) {
+    return `Slug must be ${MIN_SLUG_LENGTH}-${MAX_SLUG_LENGTH} characters`;
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    return 'Slug may only contain lowercase letters, numbers and single hyphens';
+  }
+  if (RESERVED_SLUGS.includes(slug)) {
+    return 'This slug is reserved';
+  }
+  return null;
+};
+
+// Slugs to try, in order, for a new artist called `name`
+const buildSlugCandidates = (name) => {
+  let base = slugify(name);
+  if (validateSlug(base)) {
+    base = `artist-${base}`.replace(/-+$/, '').slice(0, MAX_SLUG_LENGTH);
+  }
+
+  // Leave room for the suffix without ending the base on a hyphen
+  const stem = (length) => base.slice(0, length).replace(/-+$/, '');
+
+  const numbered = Array.from({ length: NUMBERED_SLUG_ATTEMPTS - 1 }, (_, i) =>
+    `${stem(MAX_SLUG_LENGTH - 3)}-${i + 2}`);
+  const random = `${stem(MAX_SLUG_LENGTH - 7)}-${crypto.randomBytes(3).toString('hex')}`;
+
+  return [base, ...numbered, random];
+};
+
+// TransactWriteItems entries making `slug` the artist's current slug. The slug must be free or
+// one of the artist's own retired slugs; the previous slug is retired, and the artist update
+// is conditional on it so concurrent changes can't both win. Omit artistUpdate for a new artist
+// (whose Put carries the slug).
+const buildSlugChangeItems = ({ artistId, slug, previousSlug = null, artistUpdate = true }) => {
+  const now = new Date().toISOString();
+
+  return [
+    {
+      Put: {
+        TableName: ARTIST_SLUGS_TABLE,
+        Item: { slug, artist_id: artistId, is_current: true, created_at: now },
+        ConditionExpression: 'attribute_not_exists(slug) OR artist_id = :artistId',
+        ExpressionAttributeValues: { ':artistId': artistId }
+      }
+    },
+    ...(previousSlug && previousSlug !== slug ? [{
+      Update: {
+        TableName: ARTIST_SLUGS_TABLE,
+        Key: { slug: previousSlug },
+        UpdateExpression: 'SET is_current = :false, replaced_at = :now',
+        ConditionExpression: 'artist_id = :artistId',
+        ExpressionAttributeValues: { ':false': false, ':now': now, ':artistId': artistId }
+      }
+    }] : []),
+    ...(artistUpdate ? [{
+      Update: {
+        TableName: ARTISTS_TABLE,
+        Key: { id: artistId },
+        UpdateExpression: 'SET slug = :slug, updated_at = :now',
+        ConditionExpression: previousSlug
+          ? 'attribute_exists(id) AND slug = :previousSlug'
+          : 'attribute_exists(id) AND attribute_not_exists(slug)',
+        ExpressionAttributeValues: {
+          ':slug': slug,
+          ':now': now,
+          ...(previousSlug && { ':previousSlug': previousSlug })
+        }
+      }
+    }] : [])
+  ];
+};
+
+module.exports = {
+  ARTIST_SLUGS_TABLE,
+  RESERVED_SLUGS,
+  slugify,
+  validateSlug,
+  buildSlugCandidates,
+  buildSlugChangeItems
+};
@@ -0,0 +1,54 @@
+// BNDY Shared - Artist lookups
+
+const AWS = require('aws-sdk');
+const { batchGetWithRetry } = require('./batch');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
+
+// Configuration
+const ARTISTS_TABLE = 'bndy-artists';
+
+// Every bndy-artists item carries record_type so the record_type-name_lower-index GSI can
+// list the directory in name order without a table scan
+const ARTIST_RECORD_TYPE = 'artist';
+
+// Lowercased copies used by the GET /api/artists directory (name prefix search via the GSI
+// sort key, location and genre filters) - set on every write of name, location or genres.
+// An artist without a name gets no name_lower (index keys can't be empty) and stays unlisted.
+const buildArtistIndexFields = (artist) => {
+  const nameLower = (artist.name || '').trim().toLowerCase();
+
+  return {
+    record_type: ARTIST_RECORD_TYPE,
+    ...(nameLower && { name_lower: nameLower }),
+    location_lower: (artist.location || '').trim().toLowerCase(),
+    genres_lower: (artist.genres || []).map(genre => String(genre).trim().toLowerCase())
+  };
+};
+
+// Batch get artists by id (100 keys per batchGet) - returns Map<artistId, artist>.
+// expressionAttributeNames must cover exactly the placeholders projection uses.
+const getArtistsByIds = async (artistIds, {
+  projection = 'id, #name, artist_type, profileImageUrl',
+  expressionAttributeNames = { '#name': 'name' }
+} = {}) => {
+  const uniqueIds = [...new Set(artistIds)];
+  const artists = new Map();
+
+  for (let i = 0; i < uniqueIds.length; i += 100) {
+    const items = await batchGetWithRetry(dynamodb, ARTISTS_TABLE, {
+      Keys: uniqueIds.slice(i, i + 100).map(id => ({ id })),
+      ProjectionExpression: projection,
+      ExpressionAttributeNames: expressionAttributeNames
+    });
+    items.forEach(artist => artists.set(artist.id, artist));
+  }
+
+  return artists;
+};
+
+module.exports = {
+  ARTIST_RECORD_TYPE,
+  buildArtistIndexFields,
+  getArtistsByIds
+};
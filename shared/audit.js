@@ -0,0 +1,48 @@
+// BNDY Shared - Platform audit log
+// Append-only record of privileged actions (role changes, moderation, ...)
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
+
+// Configuration
+const AUDIT_LOG_TABLE = 'bndy-audit-log';
+
+const buildAuditEntry = ({ action, actorUserId, targetType, targetId, before = null, after = null, reason = null }) => ({
+  audit_id: crypto.randomUUID(),
+  action,
+  actor_user_id: actorUserId,
+  target_type: targetType,
+  target_id: targetId,
+  before,
+  after,
+  reason,
+  created_at: new Date().toISOString()
+});
+
+// TransactWriteItems entry, so the audit row commits atomically with the change it describes
+const buildAuditTransactItem = (entryData) => ({
+  Put: {
+    TableName: AUDIT_LOG_TABLE,
+    Item: buildAuditEntry(entryData)
+  }
+});
+
+const writeAuditEntry = async (entryData) => {
+  const entry = buildAuditEntry(entryData);
+
+  await dynamodb.put({
+    TableName: AUDIT_LOG_TABLE,
+    Item: entry
+  }).promise();
+
+  return entry;
+};
+
+module.exports = {
+  AUDIT_LOG_TABLE,
+  buildAuditEntry,
+  buildAuditTransactItem,
+  writeAuditEntry
+};
@@ -0,0 +1,113 @@
+// BNDY Shared - Session verification and memberships
+// One implementation of requireAuth for every Lambda. Accepts the bndy_session
+// cookie (browsers) or an Authorization: Bearer header (mobile/CLI clients).
+
+const AWS = require('aws-sdk');
+const jwt = require('jsonwebtoken');
+const { getEventCookies, getHeader } = require('./cookies');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
+
+// Configuration
+const SESSION_COOKIE = 'bndy_session';
+const MEMBERSHIPS_TABLE = 'bndy-artist-memberships';
+
+// Session token from Authorization: Bearer <token>, falling back to the session cookie
+const getSessionToken = (event) => {
+  const authorization = getHeader(event, 'authorization');
+
+  if (authorization) {
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) {
+      return { token: match[1].trim(), source: 'bearer' };
+    }
+  }
+
+  const cookies = getEventCookies(event);
+  if (cookies[SESSION_COOKIE]) {
+    return { token: cookies[SESSION_COOKIE], source: 'cookie' };
+  }
+
+  return { token: null, source: null };
+};
+
+// Verify a session JWT - returns the session claims or throws
+const verifySession = (token) => jwt.verify(token, process.env.JWT_SECRET);
+
+// User context injected by the HTTP API Lambda authorizer (authorizer-lambda), if the route has one
+const getAuthorizerContext = (event) => {
+  const context = event?.requestContext?.authorizer?.lambda;
+  return context && context.userId ? context : null;
+};
+
+// Authentication middleware - returns { user } or { error }
+const requireAuth = (event) => {
+  // Routes behind the authorizer were already validated by API Gateway
+  const authorizerContext = getAuthorizerContext(event);
+  if (authorizerContext) {
+    return { user: { ...authorizerContext } };
+  }
+
+  const { token, source } = getSessionToken(event);
+
+  if (!token) {
+    console.log('AUTH: No session token found');
+    return { error: 'Not authenticated' };
+  }
+
+  try {
+    const session = verifySession(token);
+    console.log('AUTH: User authenticated', {
+      source,
+      userId: session.userId.substring(0, 8) + '...'
+    });
+    return { user: session };
+  } catch (error) {
+    console.error('AUTH: Invalid session token:', error.message);
+    return { error: 'Invalid session' };
+  }
+};
+
+// All of a user's artist memberships (optionally filtered by status)
+const getUserMemberships = async (userId, { status = 'active' } = {}) => {
+  const memberships = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: MEMBERSHIPS_TABLE,
+      IndexName: 'user_id-index',
+      KeyConditionExpression: 'user_id = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    memberships.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return status ? memberships.filter(m => m.status === status) : memberships;
+};
+
+// requireAuth plus the caller's active memberships - returns { user, memberships } or { error }
+const requireAuthWithMemberships = async (event) => {
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return authResult;
+  }
+
+  const memberships = await getUserMemberships(authResult.user.userId);
+  return { user: authResult.user, memberships };
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  getSessionToken,
+  verifySession,
+  getAuthorizerContext,
+  requireAuth,
+  getUserMemberships,
+  requireAuthWithMemberships
+};
@@ -0,0 +1,40 @@
+// BNDY Shared - BatchGetItem with retries
+// DynamoDB hands back UnprocessedKeys when a batch is throttled or too large. Those keys are
+// retried with exponential backoff (full jitter), giving up after BATCH_GET_MAX_ATTEMPTS calls.
+
+const BATCH_GET_MAX_ATTEMPTS = 5;
+const BATCH_GET_BASE_DELAY_MS = 50;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every item returned for one table's request ({ Keys, ProjectionExpression, ... }, up to 100 keys)
+const batchGetWithRetry = async (dynamodb, tableName, request, {
+  maxAttempts = BATCH_GET_MAX_ATTEMPTS,
+  baseDelayMs = BATCH_GET_BASE_DELAY_MS
+} = {}) => {
+  const items = [];
+  let requestItems = { [tableName]: request };
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await dynamodb.batchGet({ RequestItems: requestItems }).promise();
+    items.push(...((result.Responses && result.Responses[tableName]) || []));
+    requestItems = result.UnprocessedKeys;
+
+    if (!requestItems || !requestItems[tableName]) {
+      return items;
+    }
+
+    if (attempt >= maxAttempts) {
+      const error = new Error(`${requestItems[tableName].Keys.length} ${tableName} keys still unprocessed after ${maxAttempts} attempts`);
+      error.code = 'UnprocessedKeysException';
+      throw error;
+    }
+
+    await sleep(Math.random() * baseDelayMs * 2 ** (attempt - 1));
+  }
+};
+
+module.exports = {
+  BATCH_GET_MAX_ATTEMPTS,
+  batchGetWithRetry
+};
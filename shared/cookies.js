@@ -0,0 +1,62 @@
+// BNDY Shared - Cookie parsing
+// Handles both API Gateway event shapes:
+//   HTTP API v2: event.cookies = ['name=value', ...]
+//   REST API v1: event.headers.Cookie / event.headers.cookie = 'name=value; name2=value2'
+
+// Parse a Cookie header string. Splits on the first '=' only, so base64/JWT
+// values containing '=' padding survive intact.
+const parseCookies = (cookieHeader) => {
+  if (!cookieHeader) return {};
+
+  return cookieHeader.split(';').reduce((cookies, cookie) => {
+    const trimmed = cookie.trim();
+    const separatorIndex = trimmed.indexOf('=');
+    if (separatorIndex <= 0) return cookies;
+
+    const name = trimmed.substring(0, separatorIndex).trim();
+    let value = trimmed.substring(separatorIndex + 1).trim();
+
+    // Strip optional quotes (RFC 6265 quoted cookie-value)
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+      value = value.substring(1, value.length - 1);
+    }
+
+    try {
+      value = decodeURIComponent(value);
+    } catch (error) {
+      // Leave malformed percent-encoding as-is
+    }
+
+    // First occurrence wins, matching browser precedence for duplicate names
+    if (!(name in cookies)) {
+      cookies[name] = value;
+    }
+    return cookies;
+  }, {});
+};
+
+// Header lookup is case-insensitive (v2 lowercases header names, v1 does not)
+const getHeader = (event, name) => {
+  const headers = event?.headers || {};
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers).find(header => header.toLowerCase() === wanted);
+  return key ? headers[key] : undefined;
+};
+
+// All cookies on the request, from whichever event format API Gateway sent
+const getEventCookies = (event) => {
+  const fromArray = Array.isArray(event?.cookies) && event.cookies.length > 0
+    ? parseCookies(event.cookies.join('; '))
+    : {};
+
+  return {
+    ...parseCookies(getHeader(event, 'cookie')),
+    ...fromArray
+  };
+};
+
+module.exports = {
+  parseCookies,
+  getHeader,
+  getEventCookies
+};
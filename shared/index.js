@@ -0,0 +1,19 @@
+// BNDY Shared - helpers used by every Lambda function
+// Installed into each function as a local package: "bndy-shared": "file:../shared"
+
+module.exports = {
+  ...require('./cookies'),
+  ...require('./batch'),
+  ...require('./auth'),
+  ...require('./artists'),
+  ...require('./artist-slugs'),
+  ...require('./users'),
+  ...require('./roles'),
+  ...require('./permissions'),
+  ...require('./artist-roles'),
+  ...require('./memberships'),
+  ...require('./membership-events'),
+  ...require('./audit'),
+  ...require('./mailer'),
+  ...require('./notifications')
+};
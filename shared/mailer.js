@@ -0,0 +1,59 @@
+// BNDY Shared - Outbound email
+// sendEmail() hides the transport: SES when deployed, or an in-memory stub that only
+// logs when MAIL_TRANSPORT=stub (local runs and scripts - nothing leaves the machine).
+
+const AWS = require('aws-sdk');
+
+// Configuration
+const EMAIL_FROM = process.env.EMAIL_FROM || 'BNDY <noreply@bndy.co.uk>';
+
+let ses;
+const stubOutbox = [];
+
+const maskEmail = (email) => String(email).substring(0, 3) + '***';
+
+const transports = {
+  ses: async ({ from, to, subject, text, html }) => {
+    ses = ses || new AWS.SES({ region: 'eu-west-2' });
+
+    const result = await ses.sendEmail({
+      Source: from,
+      Destination: { ToAddresses: [to] },
+      Message: {
+        Subject: { Data: subject },
+        Body: {
+          Text: { Data: text },
+          ...(html && { Html: { Data: html } })
+        }
+      }
+    }).promise();
+
+    return { messageId: result.MessageId };
+  },
+
+  stub: async (message) => {
+    stubOutbox.push({ ...message, sent_at: new Date().toISOString() });
+    console.log('MAIL: Stub transport, email not sent', { to: maskEmail(message.to), subject: message.subject });
+    return { messageId: `stub-${stubOutbox.length}` };
+  }
+};
+
+// Send one email - returns { messageId } or throws
+const sendEmail = async ({ to, subject, text, html = null, from = EMAIL_FROM }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'ses';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+  }
+
+  return transport({ from, to, subject, text, html });
+};
+
+// Messages captured by the stub transport (newest last)
+const getStubOutbox = () => [...stubOutbox];
+
+module.exports = {
+  sendEmail,
+  getStubOutbox
+};
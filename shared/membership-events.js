@@ -0,0 +1,97 @@
+// BNDY Shared - Membership history
+// Append-only log of membership changes per artist (bndy-membership-events), read by
+// GET /api/artists/{artistId}/members/history. Entries are written in the same
+// transaction as the change they describe.
+
+const crypto = require('crypto');
+
+// Configuration
+const MEMBERSHIP_EVENTS_TABLE = 'bndy-membership-events';
+
+const MEMBERSHIP_EVENT_TYPES = [
+  'invited',
+  'invitation_declined',
+  'invitation_cancelled',
+  'joined',
+  'role_changed',
+  'permissions_granted',
+  'permissions_revoked',
+  'status_changed',
+  'left',
+  'removed'
+];
+
+// event_id sorts by time within an artist
+const buildMembershipEvent = ({
+  type,
+  membership,
+  actorUserId,
+  subjectUserId = membership.user_id,
+  before = null,
+  after = null,
+  details = null
+}) => {
+  const now = new Date().toISOString();
+
+  return {
+    artist_id: membership.artist_id,
+    event_id: `${now}#${crypto.randomUUID()}`,
+    event_type: type,
+    membership_id: membership.membership_id,
+    subject_user_id: subjectUserId || null,
+    subject_email: subjectUserId ? null : membership.invited_email || null,
+    actor_user_id: actorUserId || null,
+    before,
+    after,
+    details,
+    created_at: now
+  };
+};
+
+// TransactWriteItems entry
+const buildMembershipEventItem = (eventData) => ({
+  Put: {
+    TableName: MEMBERSHIP_EVENTS_TABLE,
+    Item: buildMembershipEvent(eventData)
+  }
+});
+
+// Events for an update of role / permissions / status - changes holds the new values
+// (undefined = unchanged). Permission events list what was added or removed in details.
+const buildMembershipChangeEvents = (membership, changes, actorUserId) => {
+  const events = [];
+  const base = { membership, actorUserId };
+
+  if (changes.role !== undefined && changes.role !== membership.role) {
+    events.push({ ...base, type: 'role_changed', before: { role: membership.role }, after: { role: changes.role } });
+  }
+
+  if (changes.permissions !== undefined) {
+    const previous = membership.permissions || [];
+    const granted = changes.permissions.filter(p => !previous.includes(p));
+    const revoked = previous.filter(p => !changes.permissions.includes(p));
+    const before = { permissions: previous };
+    const after = { permissions: changes.permissions };
+
+    if (granted.length > 0) {
+      events.push({ ...base, type: 'permissions_granted', before, after, details: { permissions: granted } });
+    }
+    if (revoked.length > 0) {
+      events.push({ ...base, type: 'permissions_revoked', before, after, details: { permissions: revoked } });
+    }
+  }
+
+  if (changes.status !== undefined && changes.status !== membership.status) {
+    events.push({ ...base, type: 'status_changed', before: { status: membership.status }, after: { status: changes.status } });
+  }
+
+  return events;
+};
+
+module.exports = {
+  MEMBERSHIP_EVENTS_TABLE,
+  MEMBERSHIP_EVENT_TYPES,
+  buildMembershipEvent,
+  buildMembershipEventItem,
+  buildMembershipChangeEvents
+};
@@ -0,0 +1,207 @@
+// BNDY Shared - Membership writes
+// Every membership has a guard item in bndy-artist-memberships keyed on (artist, user) - or
+// (artist, invited email) until an email invitation is accepted - so one person can only hold
+// one membership or invitation per artist. Guards have no artist_id/user_id, which keeps them
+// out of the GSIs. Creating or removing a membership commits together with its guard and the
+// artist's member_count (active memberships only) in one transaction.
+// owner_count (active owners) sits beside member_count; every write that removes or demotes an
+// owner decrements it on the condition that another owner remains, so concurrent changes can't
+// leave an artist without an owner.
+// Deleting an artist archives its memberships (status 'archived', previous status kept in
+// archived_status) until it is restored or purged; member_count keeps counting archived
+// active members so a restore needs no recount.
+
+const AWS = require('aws-sdk');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
+
+// Configuration
+const MEMBERSHIPS_TABLE = 'bndy-artist-memberships';
+const ARTISTS_TABLE = 'bndy-artists';
+const MEMBERSHIP_GUARD_TYPE = 'membership_guard';
+const ARCHIVED_MEMBERSHIP_STATUS = 'archived';
+
+const userGuardKey = (artistId, userId) => `artist#${artistId}#user#${userId}`;
+const emailGuardKey = (artistId, email) => `artist#${artistId}#email#${email}`;
+
+// The guard a membership currently holds
+const membershipGuardKey = (membership) => membership.user_id
+  ? userGuardKey(membership.artist_id, membership.user_id)
+  : emailGuardKey(membership.artist_id, membership.invited_email);
+
+const isMembershipGuard = (item) => item.record_type === MEMBERSHIP_GUARD_TYPE;
+
+// Whether a membership is included in its artist's member_count
+const isCountedMembership = (membership) => membership.status === 'active' ||
+  (membership.status === ARCHIVED_MEMBERSHIP_STATUS && membership.archived_status === 'active');
+
+// Whether a membership is included in its artist's owner_count
+const isCountedOwner = (membership) => isCountedMembership(membership) && membership.role === 'owner';
+
+// Artists created before owner_count existed get it counted and stored once, so the conditional
+// decrement in buildArtistCountsUpdate has something to guard. Call before any write that
+// changes owner_count.
+const ensureOwnerCount = async (artistId) => {
+  const artistResult = await dynamodb.get({
+    TableName: ARTISTS_TABLE,
+    Key: { id: artistId },
+    ProjectionExpression: 'id, owner_count'
+  }).promise();
+
+  if (!artistResult.Item || artistResult.Item.owner_count !== undefined) return;
+
+  let ownerCount = 0;
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: MEMBERSHIPS_TABLE,
+      IndexName: 'artist_id-index',
+      KeyConditionExpression: 'artist_id = :artistId',
+      ExpressionAttributeValues: { ':artistId': artistId },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    ownerCount += result.Items.filter(isCountedOwner).length;
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  try {
+    await dynamodb.update({
+      TableName: ARTISTS_TABLE,
+      Key: { id: artistId },
+      UpdateExpression: 'SET owner_count = :ownerCount',
+      ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(owner_count)',
+      ExpressionAttributeValues: { ':ownerCount': ownerCount }
+    }).promise();
+  } catch (error) {
+    // Someone else initialised it first
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+  }
+};
+
+// The membership holding a guard, or null
+const getGuardedMembership = async (guardKey) => {
+  const guardResult = await dynamodb.get({
+    TableName: MEMBERSHIPS_TABLE,
+    Key: { membership_id: guardKey }
+  }).promise();
+
+  if (!guardResult.Item) return null;
+
+  const result = await dynamodb.get({
+    TableName: MEMBERSHIPS_TABLE,
+    Key: { membership_id: guardResult.Item.membership_ref }
+  }).promise();
+
+  return result.Item || null;
+};
+
+// TransactWriteItems entries
+
+const buildGuardPut = (guardKey, membershipId) => ({
+  Put: {
+    TableName: MEMBERSHIPS_TABLE,
+    Item: {
+      membership_id: guardKey,
+      record_type: MEMBERSHIP_GUARD_TYPE,
+      membership_ref: membershipId,
+      created_at: new Date().toISOString()
+    },
+    ConditionExpression: 'attribute_not_exists(membership_id)'
+  }
+});
+
+const buildGuardDelete = (guardKey) => ({
+  Delete: {
+    TableName: MEMBERSHIPS_TABLE,
+    Key: { membership_id: guardKey }
+  }
+});
+
+// member_count / owner_count deltas in one entry (a transaction can only touch the artist once).
+// Removing owners only commits if at least one owner is left.
+const buildArtistCountsUpdate = (artistId, { members = 0, owners = 0 }) => ({
+  Update: {
+    TableName: ARTISTS_TABLE,
+    Key: { id: artistId },
+    UpdateExpression: 'ADD ' + [
+      ...(members ? ['member_count :members'] : []),
+      ...(owners ? ['owner_count :owners'] : [])
+    ].join(', '),
+    ConditionExpression: owners < 0 ? 'attribute_exists(id) AND owner_count >= :minOwners' : 'attribute_exists(id)',
+    ExpressionAttributeValues: {
+      ...(members && { ':members': members }),
+      ...(owners && { ':owners': owners }),
+      ...(owners < 0 && { ':minOwners': 1 - owners })
+    }
+  }
+});
+
+const buildMemberCountUpdate = (artistId, delta) => buildArtistCountsUpdate(artistId, { members: delta });
+
+// A new membership (active or pending) with its guard
+const buildMembershipCreateItems = (membership) => [
+  {
+    Put: {
+      TableName: MEMBERSHIPS_TABLE,
+      Item: membership,
+      ConditionExpression: 'attribute_not_exists(membership_id)'
+    }
+  },
+  buildGuardPut(membershipGuardKey(membership), membership.membership_id),
+  ...(membership.status === 'active' ? [buildArtistCountsUpdate(membership.artist_id, {
+    members: 1,
+    owners: membership.role === 'owner' ? 1 : 0
+  })] : [])
+];
+
+// Remove a membership and its guard. The delete only succeeds if the status and role are
+// unchanged since it was read; set inviteTokenId to also pin an invitation, adjustCount false
+// to skip member_count and owner_count (removing an owner then has no last-owner guard).
+const buildMembershipDeleteItems = (membership, { inviteTokenId = null, adjustCount = true } = {}) => [
+  {
+    Delete: {
+      TableName: MEMBERSHIPS_TABLE,
+      Key: { membership_id: membership.membership_id },
+      ConditionExpression: [
+        '#status = :status',
+        ...(membership.role ? ['#role = :role'] : []),
+        ...(inviteTokenId ? ['invite_token_id = :tokenId'] : [])
+      ].join(' AND '),
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        ...(membership.role && { '#role': 'role' })
+      },
+      ExpressionAttributeValues: {
+        ':status': membership.status,
+        ...(membership.role && { ':role': membership.role }),
+        ...(inviteTokenId && { ':tokenId': inviteTokenId })
+      }
+    }
+  },
+  buildGuardDelete(membershipGuardKey(membership)),
+  ...(isCountedMembership(membership) && adjustCount ? [buildArtistCountsUpdate(membership.artist_id, {
+    members: -1,
+    owners: isCountedOwner(membership) ? -1 : 0
+  })] : [])
+];
+
+module.exports = {
+  MEMBERSHIP_GUARD_TYPE,
+  ARCHIVED_MEMBERSHIP_STATUS,
+  userGuardKey,
+  emailGuardKey,
+  membershipGuardKey,
+  isMembershipGuard,
+  isCountedMembership,
+  isCountedOwner,
+  ensureOwnerCount,
+  getGuardedMembership,
+  buildGuardPut,
+  buildGuardDelete,
+  buildArtistCountsUpdate,
+  buildMemberCountUpdate,
+  buildMembershipCreateItems,
+  buildMembershipDeleteItems
+};
@@ -0,0 +1,137 @@
+// BNDY Shared - User notifications
+// notify() is called by any Lambda when something happens to a user. Delivery honours the
+// user's notification_preferences (bndy-users) per type and channel: in-app rows go to
+// bndy-notifications (read by notifications-lambda), email goes through the mailer.
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { sendEmail } = require('./mailer');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
+
+// Configuration
+const NOTIFICATIONS_TABLE = 'bndy-notifications';
+const USERS_TABLE = 'bndy-users';
+const FRONTEND_URL = 'https://backstage.bndy.co.uk';
+const NOTIFICATION_TTL_SECONDS = 90 * 24 * 60 * 60; // 90 days
+
+// Notification types and their default channels (users override per type)
+const NOTIFICATION_TYPES = {
+  // The invitation itself is always emailed with its link, so this only controls the in-app copy
+  'membership.invited': {
+    description: 'You were invited to join an artist',
+    defaults: { inApp: true, email: false }
+  },
+  'invitation.accepted': {
+    description: 'Someone accepted your invitation to an artist',
+    defaults: { inApp: true, email: false }
+  },
+  'artist.ownership_transferred': {
+    description: 'You were made the owner of an artist',
+    defaults: { inApp: true, email: true }
+  },
+  'artist.claim_reviewed': {
+    description: 'Your claim to manage an artist was approved or rejected',
+    defaults: { inApp: true, email: true }
+  },
+  'issue.status_changed': {
+    description: 'An issue you reported changed status',
+    defaults: { inApp: true, email: false }
+  }
+};
+
+const NOTIFICATION_CHANNELS = ['inApp', 'email'];
+
+// Stored overrides merged over the defaults - { type: { inApp, email } } for every type
+const resolveNotificationPreferences = (dbUser) => {
+  const stored = dbUser?.notification_preferences || {};
+
+  return Object.fromEntries(Object.entries(NOTIFICATION_TYPES).map(([type, { defaults }]) =>
+    [type, { ...defaults, ...(stored[type] || {}) }]));
+};
+
+const buildNotificationEmail = ({ title, body, link }) => {
+  const lines = [title, '', body];
+
+  if (link) {
+    lines.push('', `${FRONTEND_URL}${link}`);
+  }
+
+  lines.push('', '--', `Manage your notification settings: ${FRONTEND_URL}/settings/notifications`);
+  return lines.join('\n');
+};
+
+// Deliver one notification. Never throws - a failed notification must not fail the
+// request that triggered it. Returns the channels it was delivered on.
+const notify = async ({ userId, type, title, body = '', link = null, data = {}, actorUserId = null }) => {
+  const delivered = { inApp: false, email: false };
+
+  if (!Object.prototype.hasOwnProperty.call(NOTIFICATION_TYPES, type)) {
+    console.error('NOTIFY: Unknown notification type', { type });
+    return delivered;
+  }
+
+  // Nobody needs telling about their own actions
+  if (!userId || userId === actorUserId) {
+    return delivered;
+  }
+
+  try {
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: userId },
+      ProjectionExpression: 'cognito_id, email, notification_preferences, deletion_scheduled_for'
+    }).promise();
+
+    const dbUser = userResult.Item;
+    if (!dbUser || dbUser.deletion_scheduled_for) {
+      return delivered;
+    }
+
+    const preferences = resolveNotificationPreferences(dbUser)[type];
+    const now = new Date();
+
+    if (preferences.inApp) {
+      await dynamodb.put({
+        TableName: NOTIFICATIONS_TABLE,
+        Item: {
+          user_id: userId,
+          // Sortable by time within the user's partition
+          notification_id: `${now.toISOString()}#${crypto.randomUUID()}`,
+          type,
+          title,
+          body,
+          link,
+          data,
+          actor_user_id: actorUserId,
+          created_at: now.toISOString(),
+          expires_at: Math.floor(now.getTime() / 1000) + NOTIFICATION_TTL_SECONDS
+        }
+      }).promise();
+      delivered.inApp = true;
+    }
+
+    if (preferences.email && dbUser.email) {
+      await sendEmail({
+        to: dbUser.email,
+        subject: title,
+        text: buildNotificationEmail({ title, body, link })
+      });
+      delivered.email = true;
+    }
+
+    console.log('NOTIFY: Notification delivered', { type, ...delivered });
+  } catch (error) {
+    console.error('NOTIFY: Failed to deliver notification', { type, error: error.message });
+  }
+
+  return delivered;
+};
+
+module.exports = {
+  NOTIFICATIONS_TABLE,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  resolveNotificationPreferences,
+  notify
+};
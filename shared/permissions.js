@@ -0,0 +1,123 @@
+// BNDY Shared - Artist membership permissions
+// Per-artist authorisation: the caller's active membership of the target artist decides
+// what they can do. Owners hold every permission; platform roles can bypass per route.
+
+const AWS = require('aws-sdk');
+const { requireAuth } = require('./auth');
+const { hasRole } = require('./roles');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
+
+// Configuration
+const MEMBERSHIPS_TABLE = 'bndy-artist-memberships';
+
+// Permission catalogue - the only permissions an artist role may grant
+const PERMISSION_CATALOGUE = {
+  manage_members: 'Invite and remove members, change their roles and edit the artist\'s roles',
+  manage_gigs: 'Create, edit and cancel gigs',
+  manage_songs: 'Add, edit and remove songs and setlists',
+  manage_finances: 'View and manage payments and expenses',
+  manage_settings: 'Edit the artist profile and settings'
+};
+
+const ARTIST_PERMISSIONS = Object.keys(PERMISSION_CATALOGUE);
+
+const isValidPermissionList = (permissions) =>
+  Array.isArray(permissions) && permissions.every(p => ARTIST_PERMISSIONS.includes(p));
+
+// Pseudo-permission for owner-only actions (deleting the artist, managing other owners)
+const OWNER_ONLY = 'owner';
+
+// Pseudo-permission held by every active member (seeing the artist's member list)
+const MEMBERS_ONLY = 'member';
+
+// Active memberships of an artist
+const getArtistMemberships = async (artistId) => {
+  const memberships = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: MEMBERSHIPS_TABLE,
+      IndexName: 'artist_id-index',
+      KeyConditionExpression: 'artist_id = :artistId',
+      FilterExpression: '#status = :active',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':artistId': artistId,
+        ':active': 'active'
+      },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    memberships.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return memberships;
+};
+
+// The user's active membership of an artist, or null
+const getArtistMembership = async (artistId, userId) => {
+  const memberships = await getArtistMemberships(artistId);
+  return memberships.find(m => m.user_id === userId) || null;
+};
+
+const isArtistOwner = (membership) => !!membership && membership.status === 'active' && membership.role === 'owner';
+
+const hasArtistPermission = (membership, permission) => {
+  if (!membership || membership.status !== 'active') return false;
+  if (membership.role === 'owner' || permission === MEMBERS_ONLY) return true;
+  if (permission === OWNER_ONLY) return false;
+  return (membership.permissions || []).includes(permission);
+};
+
+// True if removing/demoting this membership would leave the artist without an active owner
+const isLastOwner = async (membership) => {
+  if (!isArtistOwner(membership)) return false;
+
+  const memberships = await getArtistMemberships(membership.artist_id);
+  return !memberships.some(m => m.role === 'owner' && m.membership_id !== membership.membership_id);
+};
+
+// Route guard - returns { user, membership } or { error, statusCode }.
+// Users with platform role `platformRole` or above bypass the membership check (membership may be null).
+const requireArtistPermission = async (event, artistId, permission, { platformRole = 'admin' } = {}) => {
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return { error: authResult.error, statusCode: 401 };
+  }
+
+  const { user } = authResult;
+  const membership = await getArtistMembership(artistId, user.userId);
+
+  if (hasArtistPermission(membership, permission) || hasRole(user, platformRole)) {
+    return { user, membership };
+  }
+
+  console.log('AUTH: Missing artist permission', {
+    userId: user.userId.substring(0, 8) + '...',
+    artistId,
+    permission,
+    isMember: !!membership
+  });
+
+  return {
+    error: membership ? `Requires the ${permission} permission for this artist` : 'You are not a member of this artist',
+    statusCode: 403
+  };
+};
+
+module.exports = {
+  PERMISSION_CATALOGUE,
+  ARTIST_PERMISSIONS,
+  isValidPermissionList,
+  OWNER_ONLY,
+  MEMBERS_ONLY,
+  getArtistMemberships,
+  getArtistMembership,
+  isArtistOwner,
+  hasArtistPermission,
+  isLastOwner,
+  requireArtistPermission
+};
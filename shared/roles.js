@@ -0,0 +1,45 @@
+// BNDY Shared - Platform roles
+// Global (platform-level) role stored on the bndy-users record as platform_role and
+// carried in the session as `role`. Artist-level permissions live on memberships instead.
+
+const { requireAuth } = require('./auth');
+
+// Ordered lowest to highest - each role includes everything below it
+const PLATFORM_ROLES = ['user', 'moderator', 'admin'];
+
+const isValidPlatformRole = (role) => PLATFORM_ROLES.includes(role);
+
+const roleRank = (role) => {
+  const rank = PLATFORM_ROLES.indexOf(role);
+  return rank === -1 ? 0 : rank;
+};
+
+// True if the session user's role is at least minimumRole
+const hasRole = (user, minimumRole) => roleRank(user?.role || 'user') >= roleRank(minimumRole);
+
+// Route guard - returns { user } or { error, statusCode } (401 unauthenticated, 403 insufficient role)
+const requireRole = (event, minimumRole) => {
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return { error: authResult.error, statusCode: 401 };
+  }
+
+  if (!hasRole(authResult.user, minimumRole)) {
+    console.log('AUTH: Insufficient role', {
+      userId: authResult.user.userId.substring(0, 8) + '...',
+      role: authResult.user.role || 'user',
+      required: minimumRole
+    });
+    return { error: 'Forbidden', statusCode: 403 };
+  }
+
+  return authResult;
+};
+
+module.exports = {
+  PLATFORM_ROLES,
+  isValidPlatformRole,
+  roleRank,
+  hasRole,
+  requireRole
+};
@@ -0,0 +1,127 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AWS = require('aws-sdk');
+const jwt = require('jsonwebtoken');
+
+const { requireAuth, requireAuthWithMemberships } = require('../auth');
+const { parseCookies } = require('../cookies');
+
+const JWT_SECRET = 'test-secret';
+const sessionToken = (claims = {}, options = { expiresIn: '15m' }) =>
+  jwt.sign({ userId: 'user-123456789', sessionId: 'session-1', role: 'user', ...claims }, JWT_SECRET, options);
+
+// HTTP API v2 request, optionally with the authorizer's lambda context
+const v2Event = ({ cookies, headers = {}, authorizer } = {}) => ({
+  version: '2.0',
+  headers,
+  ...(cookies && { cookies }),
+  requestContext: {
+    http: { method: 'GET', path: '/api/test' },
+    ...(authorizer && { authorizer: { lambda: authorizer } })
+  }
+});
+
+// REST API v1 request - cookies arrive in a single Cookie header with the client's casing
+const v1Event = (headers = {}) => ({
+  httpMethod: 'GET',
+  path: '/api/test',
+  headers,
+  requestContext: {}
+});
+
+beforeEach(() => {
+  process.env.JWT_SECRET = JWT_SECRET;
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test('v2: uses the authorizer context without looking for a token', () => {
+  const result = requireAuth(v2Event({ authorizer: { userId: 'user-1', sessionId: 's-1', role: 'admin' } }));
+
+  assert.deepEqual(result, { user: { userId: 'user-1', sessionId: 's-1', role: 'admin' } });
+});
+
+test('v2: authorizer context without a userId falls back to the session cookie', () => {
+  const result = requireAuth(v2Event({ authorizer: {}, cookies: [`bndy_session=${sessionToken()}`] }));
+
+  assert.equal(result.user.userId, 'user-123456789');
+});
+
+test('v2: reads the session from the cookies array', () => {
+  const result = requireAuth(v2Event({ cookies: ['theme=dark', `bndy_session=${sessionToken()}`] }));
+
+  assert.equal(result.user.userId, 'user-123456789');
+  assert.equal(result.user.sessionId, 'session-1');
+});
+
+test('v2: accepts a lowercase authorization Bearer header', () => {
+  const result = requireAuth(v2Event({ headers: { authorization: `Bearer ${sessionToken()}` } }));
+
+  assert.equal(result.user.userId, 'user-123456789');
+});
+
+test('v1: reads the session from the Cookie header', () => {
+  const result = requireAuth(v1Event({ Cookie: `theme=dark; bndy_session=${sessionToken()}` }));
+
+  assert.equal(result.user.userId, 'user-123456789');
+});
+
+test('v1: accepts an Authorization Bearer header and prefers it over the cookie', () => {
+  const result = requireAuth(v1Event({
+    Authorization: `Bearer ${sessionToken({ userId: 'bearer-user-1' })}`,
+    Cookie: `bndy_session=${sessionToken({ userId: 'cookie-user-1' })}`
+  }));
+
+  assert.equal(result.user.userId, 'bearer-user-1');
+});
+
+test('rejects a request with no authorizer context and no token', () => {
+  assert.deepEqual(requireAuth(v2Event()), { error: 'Not authenticated' });
+  assert.deepEqual(requireAuth(v1Event()), { error: 'Not authenticated' });
+  assert.deepEqual(requireAuth({}), { error: 'Not authenticated' });
+});
+
+test('rejects an expired session', () => {
+  const expired = sessionToken({ exp: Math.floor(Date.now() / 1000) - 60 }, {});
+
+  assert.deepEqual(requireAuth(v2Event({ cookies: [`bndy_session=${expired}`] })), { error: 'Invalid session' });
+});
+
+test('rejects a session signed with another secret', () => {
+  const forged = jwt.sign({ userId: 'user-123456789' }, 'another-secret');
+
+  assert.deepEqual(requireAuth(v1Event({ Authorization: `Bearer ${forged}` })), { error: 'Invalid session' });
+});
+
+test('parseCookies keeps base64 padding, strips quotes and keeps the first duplicate', () => {
+  assert.deepEqual(parseCookies('a=YWJj==; b="quoted"; a=second; c=%7Bx%7D'), {
+    a: 'YWJj==',
+    b: 'quoted',
+    c: '{x}'
+  });
+});
+
+test('requireAuthWithMemberships returns the caller\'s active memberships', async () => {
+  mock.method(AWS.DynamoDB.DocumentClient.prototype, 'query', (params) => {
+    assert.equal(params.ExpressionAttributeValues[':userId'], 'user-1');
+    return {
+      promise: async () => ({
+        Items: [
+          { membership_id: 'm1', user_id: 'user-1', status: 'active' },
+          { membership_id: 'm2', user_id: 'user-1', status: 'pending' }
+        ]
+      })
+    };
+  });
+
+  const result = await requireAuthWithMemberships(v2Event({ authorizer: { userId: 'user-1' } }));
+
+  assert.equal(result.user.userId, 'user-1');
+  assert.deepEqual(result.memberships.map(m => m.membership_id), ['m1']);
+});
+
+test('requireAuthWithMemberships passes authentication errors through', async () => {
+  assert.deepEqual(await requireAuthWithMemberships(v2Event()), { error: 'Not authenticated' });
+});
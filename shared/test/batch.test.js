@@ -0,0 +1,103 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AWS = require('aws-sdk');
+
+const { getArtistsByIds } = require('../artists');
+const { getUsersByIds } = require('../users');
+const { BATCH_GET_MAX_ATTEMPTS } = require('../batch');
+
+// Stands in for DocumentClient#batchGet - respond(request, callNumber) returns the result
+const mockBatchGet = (respond) => {
+  const requests = [];
+  mock.method(AWS.DynamoDB.DocumentClient.prototype, 'batchGet', (params) => {
+    requests.push(params.RequestItems);
+    return { promise: async () => respond(params.RequestItems, requests.length) };
+  });
+  return requests;
+};
+
+// Echoes back an item per requested key
+const found = (tableName, keyName) => (requestItems) => ({
+  Responses: { [tableName]: requestItems[tableName].Keys.map(key => ({ [keyName]: key[keyName] })) },
+  UnprocessedKeys: {}
+});
+
+afterEach(() => mock.restoreAll());
+
+test('getArtistsByIds requests at most 100 unique keys per batch', async () => {
+  const requests = mockBatchGet(found('bndy-artists', 'id'));
+  const ids = Array.from({ length: 250 }, (_, i) => `artist-${i}`);
+
+  const artists = await getArtistsByIds([...ids, 'artist-0', 'artist-1']);
+
+  assert.deepEqual(requests.map(r => r['bndy-artists'].Keys.length), [100, 100, 50]);
+  assert.equal(artists.size, 250);
+  assert.equal(artists.get('artist-249').id, 'artist-249');
+});
+
+test('getArtistsByIds passes the projection and its attribute names', async () => {
+  const requests = mockBatchGet(found('bndy-artists', 'id'));
+
+  await getArtistsByIds(['a'], {
+    projection: 'id, #location',
+    expressionAttributeNames: { '#location': 'location' }
+  });
+
+  assert.equal(requests[0]['bndy-artists'].ProjectionExpression, 'id, #location');
+  assert.deepEqual(requests[0]['bndy-artists'].ExpressionAttributeNames, { '#location': 'location' });
+});
+
+test('getArtistsByIds retries unprocessed keys until they are returned', async () => {
+  const requests = mockBatchGet((requestItems, call) => {
+    const [first, ...rest] = requestItems['bndy-artists'].Keys;
+    return {
+      Responses: { 'bndy-artists': [first] },
+      UnprocessedKeys: call < 3 && rest.length > 0 ? { 'bndy-artists': { Keys: rest } } : {}
+    };
+  });
+
+  const artists = await getArtistsByIds(['a', 'b', 'c']);
+
+  assert.deepEqual(requests.map(r => r['bndy-artists'].Keys.map(key => key.id)), [['a', 'b', 'c'], ['b', 'c'], ['c']]);
+  assert.deepEqual([...artists.keys()], ['a', 'b', 'c']);
+});
+
+test('getArtistsByIds gives up after the maximum number of attempts', async () => {
+  const requests = mockBatchGet((requestItems) => ({
+    Responses: { 'bndy-artists': [] },
+    UnprocessedKeys: requestItems
+  }));
+
+  await assert.rejects(getArtistsByIds(['a', 'b']), { code: 'UnprocessedKeysException' });
+  assert.equal(requests.length, BATCH_GET_MAX_ATTEMPTS);
+});
+
+test('getUsersByIds skips empty ids and batches the rest', async () => {
+  const requests = mockBatchGet(found('bndy-users', 'cognito_id'));
+  const ids = Array.from({ length: 101 }, (_, i) => `user-${i}`);
+
+  const users = await getUsersByIds([...ids, null, undefined, '']);
+
+  assert.deepEqual(requests.map(r => r['bndy-users'].Keys.length), [100, 1]);
+  assert.equal(users.size, 101);
+});
+
+test('getUsersByIds retries unprocessed keys and gives up after the maximum attempts', async () => {
+  const requests = mockBatchGet((requestItems, call) => ({
+    Responses: { 'bndy-users': call === 1 ? [{ cognito_id: 'u1' }] : [] },
+    UnprocessedKeys: { 'bndy-users': { Keys: [{ cognito_id: 'u2' }] } }
+  }));
+
+  await assert.rejects(getUsersByIds(['u1', 'u2']), { code: 'UnprocessedKeysException' });
+  assert.equal(requests.length, BATCH_GET_MAX_ATTEMPTS);
+  assert.deepEqual(requests[1]['bndy-users'].Keys, [{ cognito_id: 'u2' }]);
+});
+
+test('getUsersByIds makes no requests for an empty list', async () => {
+  const requests = mockBatchGet(found('bndy-users', 'cognito_id'));
+
+  const users = await getUsersByIds([]);
+
+  assert.equal(requests.length, 0);
+  assert.equal(users.size, 0);
+});
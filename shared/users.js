@@ -0,0 +1,54 @@
+// BNDY Shared - User record helpers
+
+const AWS = require('aws-sdk');
+const { batchGetWithRetry } = require('./batch');
+
+const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
+
+// Configuration
+const USERS_TABLE = 'bndy-users';
+
+// Every bndy-users item carries record_type so the record_type-created_at-index GSI
+// can list users in signup order without a table scan
+const USER_RECORD_TYPE = 'user';
+
+// Lowercased display name (the username until one is set) - the sort key of the
+// record_type-name_lower-index GSI, which GET /users searches by name prefix.
+// Index keys can't be empty, so a user with neither gets null and no name_lower.
+const buildUserNameLower = (dbUser) =>
+  String(dbUser.display_name || dbUser.username || '').trim().toLowerCase() || null;
+
+// UpdateExpression parts keeping name_lower in step with the name - append `set` to the SET
+// clause and `remove` after it, and merge `values` into ExpressionAttributeValues
+const buildUserNameLowerUpdate = (dbUser) => {
+  const nameLower = buildUserNameLower(dbUser);
+
+  return nameLower
+    ? { set: ', name_lower = :nameLower', remove: '', values: { ':nameLower': nameLower } }
+    : { set: '', remove: ' REMOVE name_lower', values: {} };
+};
+
+// Batch get users by cognito_id (100 keys per batchGet) - returns Map<cognitoId, user>.
+// Pass projection (and expressionAttributeNames if it uses any) to read only what you need.
+const getUsersByIds = async (userIds, { projection = null, expressionAttributeNames = null } = {}) => {
+  const uniqueIds = [...new Set(userIds.filter(Boolean))];
+  const users = new Map();
+
+  for (let i = 0; i < uniqueIds.length; i += 100) {
+    const items = await batchGetWithRetry(dynamodb, USERS_TABLE, {
+      Keys: uniqueIds.slice(i, i + 100).map(id => ({ cognito_id: id })),
+      ...(projection && { ProjectionExpression: projection }),
+      ...(expressionAttributeNames && { ExpressionAttributeNames: expressionAttributeNames })
+    });
+    items.forEach(user => users.set(user.cognito_id, user));
+  }
+
+  return users;
+};
+
+module.exports = {
+  USER_RECORD_TYPE,
+  buildUserNameLower,
+  buildUserNameLowerUpdate,
+  getUsersByIds
+};
@@ -2,12 +2,18 @@
 // Handles: /api/songs, /api/songs/:id
 
 const AWS = require('aws-sdk');
+const { requireAuth, hasRole, requireArtistPermission } = require('bndy-shared');
+
 const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
 
 exports.handler = async (event, context) => {
+  // HTTP API v2 payload format compatibility
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  const path = event.requestContext?.http?.path || event.rawPath || event.path;
+
   console.log('🎶 Songs Lambda: Request received', {
-    httpMethod: event.httpMethod,
-    path: event.path,
+    method,
+    path,
     pathParameters: event.pathParameters
   });
   console.log('🚀 DynamoDB version - FAST AS FUCK');
@@ -16,24 +22,24 @@ exports.handler = async (event, context) => {
 
   try {
     // Route requests
-    if (event.httpMethod === 'GET' && event.path === '/api/songs') {
+    if (method === 'GET' && path === '/api/songs') {
       return await handleGetAllSongs();
     }
 
-    if (event.httpMethod === 'GET' && event.pathParameters?.id) {
+    if (method === 'GET' && event.pathParameters?.id) {
       return await handleGetSongById(event.pathParameters.id);
     }
 
-    if (event.httpMethod === 'POST' && event.path === '/api/songs') {
-      return await handleCreateSong(JSON.parse(event.body));
+    if (method === 'POST' && path === '/api/songs') {
+      return await handleCreateSong(event, JSON.parse(event.body));
     }
 
-    if (event.httpMethod === 'PUT' && event.pathParameters?.id) {
-      return await handleUpdateSong(event.pathParameters.id, JSON.parse(event.body));
+    if (method === 'PUT' && event.pathParameters?.id) {
+      return await handleUpdateSong(event, event.pathParameters.id, JSON.parse(event.body));
     }
 
-    if (event.httpMethod === 'DELETE' && event.pathParameters?.id) {
-      return await handleDeleteSong(event.pathParameters.id);
+    if (method === 'DELETE' && event.pathParameters?.id) {
+      return await handleDeleteSong(event, event.pathParameters.id);
     }
 
     return {
@@ -52,12 +58,57 @@ exports.handler = async (event, context) => {
   }
 };
 
+// Songs linked to an artist (artistId) are managed by members with manage_songs;
+// unlinked songs are shared catalogue data, managed by moderators and admins.
+// Returns { user } or { error, statusCode }.
+async function authorizeSongChange(event, artistId) {
+  if (artistId) {
+    return requireArtistPermission(event, artistId, 'manage_songs', { platformRole: 'moderator' });
+  }
+
+  const authResult = requireAuth(event);
+  if (authResult.error) {
+    return { error: authResult.error, statusCode: 401 };
+  }
+
+  if (!hasRole(authResult.user, 'moderator')) {
+    return { error: 'Only moderators can change catalogue songs', statusCode: 403 };
+  }
+
+  return authResult;
+}
+
+function forbiddenResponse(authResult) {
+  return {
+    statusCode: authResult.statusCode,
+    headers: getCorsHeaders(),
+    body: JSON.stringify({ error: authResult.error })
+  };
+}
+
+async function getSong(songId) {
+  const result = await dynamodb.get({
+    TableName: 'bndy-songs',
+    Key: { id: songId }
+  }).promise();
+
+  return result.Item || null;
+}
+
+function songNotFoundResponse() {
+  return {
+    statusCode: 404,
+    headers: getCorsHeaders(),
+    body: JSON.stringify({ error: 'Song not found' })
+  };
+}
+
 async function handleGetAllSongs() {
   console.log('🎶 Songs Lambda: Scanning all songs from DynamoDB...');
 
   const params = {
     TableName: 'bndy-songs',
-    ProjectionExpression: 'id, title, artistName, duration, genre, releaseDate, album, spotifyUrl, appleMusicUrl, youtubeUrl, audioFileUrl, isFeatured, tags, createdAt'
+    ProjectionExpression: 'id, title, artistId, artistName, duration, genre, releaseDate, album, spotifyUrl, appleMusicUrl, youtubeUrl, audioFileUrl, isFeatured, tags, createdAt'
   };
 
   try {
@@ -67,6 +118,7 @@ async function handleGetAllSongs() {
     const formattedSongs = result.Items.map(song => ({
       id: song.id,
       title: song.title,
+      artistId: song.artistId || null,
       artistName: song.artistName || '',
       duration: song.duration || null,
       genre: song.genre || '',
@@ -117,6 +169,7 @@ async function handleGetSongById(songId) {
     const song = {
       id: result.Item.id,
       title: result.Item.title,
+      artistId: result.Item.artistId || null,
       artistName: result.Item.artistName || '',
       duration: result.Item.duration || null,
       genre: result.Item.genre || '',
@@ -143,13 +196,19 @@ async function handleGetSongById(songId) {
   }
 }
 
-async function handleCreateSong(songData) {
+async function handleCreateSong(event, songData) {
   console.log('🎶 Songs Lambda: Creating new song');
 
+  const authResult = await authorizeSongChange(event, songData.artistId);
+  if (authResult.error) {
+    return forbiddenResponse(authResult);
+  }
+
   const now = new Date().toISOString();
   const song = {
     id: require('crypto').randomUUID(),
     title: songData.title,
+    artistId: songData.artistId || null,
     artistName: songData.artistName || '',
     duration: songData.duration || null,
     genre: songData.genre || '',
@@ -183,9 +242,20 @@ async function handleCreateSong(songData) {
   }
 }
 
-async function handleUpdateSong(songId, songData) {
+async function handleUpdateSong(event, songId, songData) {
   console.log(`🎶 Songs Lambda: Updating song: ${songId}`);
 
+  const existingSong = await getSong(songId);
+  if (!existingSong) {
+    return songNotFoundResponse();
+  }
+
+  // The song's current artist decides who may edit it (artistId itself is not reassigned here)
+  const authResult = await authorizeSongChange(event, existingSong.artistId);
+  if (authResult.error) {
+    return forbiddenResponse(authResult);
+  }
+
   const now = new Date().toISOString();
 
   const params = {
@@ -223,9 +293,19 @@ async function handleUpdateSong(songId, songData) {
   }
 }
 
-async function handleDeleteSong(songId) {
+async function handleDeleteSong(event, songId) {
   console.log(`🎶 Songs Lambda: Deleting song: ${songId}`);
 
+  const existingSong = await getSong(songId);
+  if (!existingSong) {
+    return songNotFoundResponse();
+  }
+
+  const authResult = await authorizeSongChange(event, existingSong.artistId);
+  if (authResult.error) {
+    return forbiddenResponse(authResult);
+  }
+
   const params = {
     TableName: 'bndy-songs',
     Key: { id: songId }
@@ -2,8 +2,8 @@
 // Generates presigned URLs for secure client-side S3 uploads
 
 const AWS = require('aws-sdk');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { requireAuth } = require('bndy-shared');
 
 // AWS Services
 const s3 = new AWS.S3({ region: 'eu-west-2' });
@@ -11,7 +11,6 @@ const s3 = new AWS.S3({ region: 'eu-west-2' });
 // Configuration
 const BUCKET_NAME = 'bndy-images';
 const FRONTEND_URL = 'https://backstage.bndy.co.uk';
-const JWT_SECRET = process.env.JWT_SECRET;
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': FRONTEND_URL,
@@ -30,52 +29,6 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
-// Parse cookies from event
-const parseCookies = (cookieHeader) => {
-  if (!cookieHeader) return {};
-  return cookieHeader.split(';').reduce((cookies, cookie) => {
-    const [name, value] = cookie.trim().split('=');
-    cookies[name] = value;
-    return cookies;
-  }, {});
-};
-
-// Authentication validation
-const requireAuth = (event) => {
-  let sessionToken = null;
-
-  if (event.cookies && Array.isArray(event.cookies)) {
-    const cookieString = event.cookies.find(c => c.startsWith('bndy_session='));
-    if (cookieString) {
-      sessionToken = cookieString.split('=')[1];
-    }
-  } else {
-    const cookies = parseCookies(event.headers?.Cookie || event.headers?.cookie || '');
-    sessionToken = cookies.bndy_session;
-  }
-
-  console.log('UPLOADS: Checking authentication', {
-    hasCookie: !!(event.cookies || event.headers?.Cookie),
-    hasSessionToken: !!sessionToken
-  });
-
-  if (!sessionToken) {
-    console.log('UPLOADS: No session token found');
-    return { error: 'Not authenticated' };
-  }
-
-  try {
-    const session = jwt.verify(sessionToken, JWT_SECRET);
-    console.log('UPLOADS: User authenticated via session', {
-      userId: session.userId.substring(0, 8) + '...'
-    });
-    return { user: session };
-  } catch (error) {
-    console.error('UPLOADS: Invalid session token:', error.message);
-    return { error: 'Invalid session' };
-  }
-};
-
 // Generate presigned URL for upload
 const handleGenerateUploadUrl = async (event) => {
   const authResult = requireAuth(event);
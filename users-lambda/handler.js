@@ -3,20 +3,82 @@
 // Uses Lambda Authorizer for authentication - receives pre-validated user context
 
 const AWS = require('aws-sdk');
-const jwt = require('jsonwebtoken');
+const {
+  requireAuth,
+  requireRole,
+  isValidPlatformRole,
+  roleRank,
+  PLATFORM_ROLES,
+  buildAuditTransactItem,
+  writeAuditEntry,
+  getUserMemberships,
+  getArtistsByIds,
+  buildMembershipDeleteItems,
+  buildMembershipEventItem,
+  buildMembershipChangeEvents,
+  isCountedMembership,
+  isCountedOwner,
+  ensureOwnerCount,
+  ARTIST_PERMISSIONS,
+  notify,
+  hasRole,
+  USER_RECORD_TYPE,
+  buildUserNameLowerUpdate,
+  NOTIFICATIONS_TABLE
+} = require('bndy-shared');
 
 // AWS Services
 const dynamodb = new AWS.DynamoDB.DocumentClient();
+const s3 = new AWS.S3({ region: 'eu-west-2' });
+const cognito = new AWS.CognitoIdentityServiceProvider({ region: 'eu-west-2' });
 
 // Configuration
 const USERS_TABLE = 'bndy-users';
+const ISSUES_TABLE = 'bndy-issues';
+const SESSIONS_TABLE = 'bndy-sessions';
+const IDENTITIES_TABLE = 'bndy-user-identities';
+const HANDLES_TABLE = 'bndy-user-handles';
+const MEMBERSHIPS_TABLE = 'bndy-artist-memberships';
+const ARTISTS_TABLE = 'bndy-artists';
+const IMAGES_BUCKET = 'bndy-images';
+const USER_POOL_ID = process.env.COGNITO_USER_POOL_ID;
 const FRONTEND_URL = 'https://backstage.bndy.co.uk';
-const JWT_SECRET = process.env.JWT_SECRET;
+
+// Account deletion - DELETE /users/me schedules a hard delete after this grace period,
+// during which the user can sign in again and POST /users/me/restore
+const DELETION_GRACE_PERIOD_DAYS = 30;
+const DELETED_USER_ID = 'deleted-user';
+
+// Handles - lowercase, 3-30 chars of letters, numbers and underscores, unique via HANDLES_TABLE
+const HANDLE_PATTERN = /^[a-z0-9][a-z0-9_]{2,29}$/;
+const RESERVED_HANDLES = new Set([
+  'me', 'profile', 'handles', 'admin', 'administrator', 'moderator', 'bndy', 'api', 'auth',
+  'users', 'user', 'artists', 'venues', 'songs', 'events', 'settings', 'support', 'help',
+  'root', 'system', 'null', 'undefined'
+]);
+
+// Who can see GET /users/{handle}: anyone, signed-in users, or nobody but the user
+const PROFILE_VISIBILITIES = ['public', 'members', 'private'];
+const DEFAULT_PROFILE_VISIBILITY = 'members';
+
+// Accepts "@Name" or "name" - returns the canonical lowercase handle
+const normaliseHandle = (handle) => String(handle || '').trim().replace(/^@/, '').toLowerCase();
+
+// Returns an error message, or null if the handle can be claimed
+const validateHandle = (handle) => {
+  if (!HANDLE_PATTERN.test(handle)) {
+    return 'Handles must be 3-30 characters: letters, numbers and underscores, not starting with an underscore';
+  }
+  if (RESERVED_HANDLES.has(handle)) {
+    return 'This handle is reserved';
+  }
+  return null;
+};
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': FRONTEND_URL,
   'Access-Control-Allow-Headers': 'Content-Type,Authorization,Cookie',
-  'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+  'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
   'Access-Control-Allow-Credentials': 'true'
 };
 
@@ -30,56 +92,94 @@ const createResponse = (statusCode, body) => ({
   body: JSON.stringify(body)
 });
 
-// Parse cookies from event
-const parseCookies = (cookieHeader) => {
-  if (!cookieHeader) return {};
-  return cookieHeader.split(';').reduce((cookies, cookie) => {
-    const [name, value] = cookie.trim().split('=');
-    cookies[name] = value;
-    return cookies;
-  }, {});
+// Avatars must be the caller's own uploads in our bucket (see uploads-lambda key layout)
+const IMAGES_BASE_URL = `https://${IMAGES_BUCKET}.s3.eu-west-2.amazonaws.com/`;
+
+const isOwnImageUrl = (url, userId) => {
+  if (!url.startsWith(IMAGES_BASE_URL)) return false;
+  const [uploadType, ownerId, fileName] = url.substring(IMAGES_BASE_URL.length).split('/');
+  return !!uploadType && ownerId === userId && !!fileName && !url.includes('..');
+};
+
+// PATCH /users/profile fields - request field -> column and validation rules
+const NAME_PATTERN = /^[\p{L}\p{M}' .-]+$/u;
+const TEXT_PATTERN = /^[^\p{C}<>]+$/u;
+
+const PROFILE_FIELDS = {
+  firstName: { column: 'first_name', maxLength: 50, pattern: NAME_PATTERN },
+  lastName: { column: 'last_name', maxLength: 50, pattern: NAME_PATTERN },
+  displayName: { column: 'display_name', maxLength: 50, pattern: TEXT_PATTERN },
+  instrument: { column: 'instrument', maxLength: 50, pattern: TEXT_PATTERN },
+  hometown: { column: 'hometown', maxLength: 100, pattern: TEXT_PATTERN },
+  avatarUrl: { column: 'avatar_url', maxLength: 1024, validate: isOwnImageUrl, message: 'Must be an image uploaded to BNDY' },
+  profileVisibility: { column: 'profile_visibility', values: PROFILE_VISIBILITIES, nullable: false }
 };
 
-// Authentication validation
-const requireAuth = (event) => {
-  // HTTP API v2 passes cookies in event.cookies array
-  let sessionToken = null;
+// Returns { values: { column: value }, errors: { field: message } } for the supplied fields only
+const validateProfilePatch = (body, userId) => {
+  const values = {};
+  const errors = {};
 
-  if (event.cookies && Array.isArray(event.cookies)) {
-    // HTTP API v2 format
-    const cookieString = event.cookies.find(c => c.startsWith('bndy_session='));
-    if (cookieString) {
-      sessionToken = cookieString.split('=')[1];
+  for (const [field, value] of Object.entries(body)) {
+    const rules = PROFILE_FIELDS[field];
+
+    if (!rules) {
+      errors[field] = 'Unknown field';
+      continue;
     }
-  } else {
-    // Fallback to headers for compatibility
-    const cookies = parseCookies(event.headers?.Cookie || event.headers?.cookie || '');
-    sessionToken = cookies.bndy_session;
-  }
 
-  console.log('USERS: Checking authentication', {
-    hasCookie: !!(event.cookies || event.headers?.Cookie),
-    hasSessionToken: !!sessionToken,
-    eventCookies: event.cookies?.length || 0
-  });
+    // null or an empty string clears the field
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+    if (trimmed === null || trimmed === '') {
+      if (rules.nullable === false) {
+        errors[field] = 'Cannot be cleared';
+      } else {
+        values[rules.column] = null;
+      }
+      continue;
+    }
 
-  if (!sessionToken) {
-    console.log('USERS: No session token found');
-    return { error: 'Not authenticated' };
+    if (typeof trimmed !== 'string') {
+      errors[field] = 'Must be a string';
+    } else if (rules.values && !rules.values.includes(trimmed)) {
+      errors[field] = `Must be one of: ${rules.values.join(', ')}`;
+    } else if (rules.maxLength && trimmed.length > rules.maxLength) {
+      errors[field] = `Must be at most ${rules.maxLength} characters`;
+    } else if (rules.pattern && !rules.pattern.test(trimmed)) {
+      errors[field] = 'Contains invalid characters';
+    } else if (rules.validate && !rules.validate(trimmed, userId)) {
+      errors[field] = rules.message;
+    } else {
+      values[rules.column] = trimmed;
+    }
   }
 
-  try {
-    const session = jwt.verify(sessionToken, JWT_SECRET);
-    console.log('USERS: User authenticated via session', {
-      userId: session.userId.substring(0, 8) + '...'
-    });
-    return { user: session };
-  } catch (error) {
-    console.error('USERS: Invalid session token:', error.message);
-    return { error: 'Invalid session' };
-  }
+  return { values, errors };
 };
 
+const isProfileComplete = (dbUser) => !!(dbUser.first_name && dbUser.last_name && dbUser.display_name);
+
+// The caller's own profile as returned by GET/PUT/PATCH /users/profile
+const formatProfile = (dbUser) => ({
+  id: dbUser.user_id,
+  cognitoId: dbUser.cognito_id,
+  email: dbUser.email,
+  username: dbUser.username,
+  handle: dbUser.handle || null,
+  firstName: dbUser.first_name,
+  lastName: dbUser.last_name,
+  displayName: dbUser.display_name,
+  avatarUrl: dbUser.avatar_url,
+  instrument: dbUser.instrument,
+  hometown: dbUser.hometown || null,
+  profileCompleted: dbUser.profile_complete,
+  profileVisibility: dbUser.profile_visibility || DEFAULT_PROFILE_VISIBILITY,
+  role: dbUser.platform_role || 'user',
+  deletionScheduledFor: dbUser.deletion_scheduled_for || null,
+  createdAt: dbUser.created_at,
+  updatedAt: dbUser.updated_at
+});
+
 // Get user profile
 const handleGetProfile = async (event) => {
   const authResult = requireAuth(event);
@@ -106,20 +206,7 @@ const handleGetProfile = async (event) => {
     const dbUser = userResult.Item;
     console.log(' USERS: User profile retrieved');
 
-    const profileData = {
-      id: dbUser.user_id,
-      cognitoId: dbUser.cognito_id,
-      email: dbUser.email,
-      username: dbUser.username,
-      firstName: dbUser.first_name,
-      lastName: dbUser.last_name,
-      displayName: dbUser.display_name,
-      avatarUrl: dbUser.avatar_url,
-      instrument: dbUser.instrument,
-      profileCompleted: dbUser.profile_complete,
-      createdAt: dbUser.created_at,
-      updatedAt: dbUser.updated_at
-    };
+    const profileData = formatProfile(dbUser);
 
     return createResponse(200, { user: profileData });
 
@@ -141,7 +228,11 @@ const handleUpdateProfile = async (event) => {
 
   try {
     const requestBody = JSON.parse(event.body);
-    const { firstName, lastName, displayName, avatarUrl, instrument, hometown } = requestBody;
+    const { firstName, lastName, displayName, avatarUrl, instrument, hometown, profileVisibility } = requestBody;
+
+    if (profileVisibility !== undefined && !PROFILE_VISIBILITIES.includes(profileVisibility)) {
+      return createResponse(400, { error: 'Invalid profileVisibility', validValues: PROFILE_VISIBILITIES });
+    }
 
     console.log(' USERS: Update profile request', {
       hasFirstName: !!firstName,
@@ -163,21 +254,35 @@ const handleUpdateProfile = async (event) => {
       return createResponse(404, { error: 'User not found' });
     }
 
+    const nameLowerUpdate = buildUserNameLowerUpdate({ ...userResult.Item, display_name: displayName });
+
+    let updateExpression = `SET first_name = :firstName, last_name = :lastName, display_name = :displayName, avatar_url = :avatarUrl, instrument = :instrument, hometown = :hometown, profile_complete = :profileComplete, updated_at = :updatedAt${nameLowerUpdate.set}`;
+    const expressionAttributeValues = {
+      ':firstName': firstName || null,
+      ':lastName': lastName || null,
+      ':displayName': displayName || null,
+      ':avatarUrl': avatarUrl || null,
+      ':instrument': instrument || null,
+      ':hometown': hometown || null,
+      ':profileComplete': profileComplete,
+      ':updatedAt': new Date().toISOString(),
+      ...nameLowerUpdate.values
+    };
+
+    // Privacy setting is only changed when explicitly supplied
+    if (profileVisibility !== undefined) {
+      updateExpression += ', profile_visibility = :profileVisibility';
+      expressionAttributeValues[':profileVisibility'] = profileVisibility;
+    }
+
+    updateExpression += nameLowerUpdate.remove;
+
     // Update user profile
     const updateResult = await dynamodb.update({
       TableName: USERS_TABLE,
       Key: { cognito_id: user.userId },
-      UpdateExpression: 'SET first_name = :firstName, last_name = :lastName, display_name = :displayName, avatar_url = :avatarUrl, instrument = :instrument, hometown = :hometown, profile_complete = :profileComplete, updated_at = :updatedAt',
-      ExpressionAttributeValues: {
-        ':firstName': firstName || null,
-        ':lastName': lastName || null,
-        ':displayName': displayName || null,
-        ':avatarUrl': avatarUrl || null,
-        ':instrument': instrument || null,
-        ':hometown': hometown || null,
-        ':profileComplete': profileComplete,
-        ':updatedAt': new Date().toISOString()
-      },
+      UpdateExpression: updateExpression,
+      ExpressionAttributeValues: expressionAttributeValues,
       ReturnValues: 'ALL_NEW'
     }).promise();
 
@@ -188,20 +293,7 @@ const handleUpdateProfile = async (event) => {
       displayName: updatedUser.display_name
     });
 
-    const responseData = {
-      id: updatedUser.user_id,
-      cognitoId: updatedUser.cognito_id,
-      email: updatedUser.email,
-      username: updatedUser.username,
-      firstName: updatedUser.first_name,
-      lastName: updatedUser.last_name,
-      displayName: updatedUser.display_name,
-      avatarUrl: updatedUser.avatar_url,
-      instrument: updatedUser.instrument,
-      profileCompleted: updatedUser.profile_complete,
-      createdAt: updatedUser.created_at,
-      updatedAt: updatedUser.updated_at
-    };
+    const responseData = formatProfile(updatedUser);
 
     return createResponse(200, {
       user: responseData,
@@ -214,35 +306,285 @@ const handleUpdateProfile = async (event) => {
   }
 };
 
-// List all users (admin function - future god mode)
-const handleListUsers = async (event) => {
+// Partial profile update - only supplied fields are written, profile_complete is recomputed
+const handlePatchProfile = async (event) => {
   const authResult = requireAuth(event);
 
   if (authResult.error) {
     return createResponse(401, { error: authResult.error });
   }
 
+  const { user } = authResult;
+
   try {
-    console.log(' USERS: List users request');
+    let requestBody;
+    try {
+      requestBody = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return createResponse(400, { error: 'Invalid JSON body' });
+    }
+
+    if (!requestBody || typeof requestBody !== 'object' || Array.isArray(requestBody)) {
+      return createResponse(400, { error: 'Request body must be an object' });
+    }
+
+    const { values, errors } = validateProfilePatch(requestBody, user.userId);
+
+    if (Object.keys(errors).length > 0) {
+      return createResponse(422, { error: 'Validation failed', errors });
+    }
 
-    const result = await dynamodb.scan({
+    if (Object.keys(values).length === 0) {
+      return createResponse(400, { error: 'No fields to update' });
+    }
+
+    console.log(' USERS: Patch profile request', { fields: Object.keys(values) });
+
+    const userResult = await dynamodb.get({
       TableName: USERS_TABLE,
-      ProjectionExpression: 'user_id, cognito_id, email, username, display_name, profile_complete, created_at'
+      Key: { cognito_id: user.userId }
     }).promise();
 
-    const users = result.Items.map(user => ({
-      id: user.user_id,
-      cognitoId: user.cognito_id,
-      email: user.email,
-      username: user.username,
-      displayName: user.display_name,
-      profileCompleted: user.profile_complete,
-      createdAt: user.created_at
-    }));
+    if (!userResult.Item) {
+      return createResponse(404, { error: 'User not found' });
+    }
+
+    const mergedUser = { ...userResult.Item, ...values };
+    const profileComplete = isProfileComplete(mergedUser);
+    const nameLowerUpdate = buildUserNameLowerUpdate(mergedUser);
 
-    console.log(` USERS: Retrieved ${users.length} users`);
+    const updateExpressions = [];
+    const expressionAttributeValues = {
+      ':profileComplete': profileComplete,
+      ':updatedAt': new Date().toISOString(),
+      ...nameLowerUpdate.values
+    };
 
-    return createResponse(200, { users, count: users.length });
+    Object.entries(values).forEach(([column, value]) => {
+      updateExpressions.push(`${column} = :${column}`);
+      expressionAttributeValues[`:${column}`] = value;
+    });
+
+    const updateResult = await dynamodb.update({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: user.userId },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}, profile_complete = :profileComplete, updated_at = :updatedAt` +
+        `${nameLowerUpdate.set}${nameLowerUpdate.remove}`,
+      ConditionExpression: 'attribute_exists(cognito_id)',
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    console.log(' USERS: Profile patched', { profileComplete });
+
+    return createResponse(200, {
+      user: formatProfile(updateResult.Attributes),
+      message: 'Profile updated successfully!'
+    });
+
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createResponse(404, { error: 'User not found' });
+    }
+    console.error(' USERS: Patch profile error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// GET /users - listing and search
+const USERS_BY_CREATED_INDEX = 'record_type-created_at-index';
+const USERS_BY_NAME_INDEX = 'record_type-name_lower-index';
+const USERS_BY_EMAIL_INDEX = 'email_lower-index';
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_PAGES_PER_REQUEST = 10; // Bounds read cost when filters match few users
+const MIN_SEARCH_LENGTH = 2;
+
+// Opaque pagination cursor - the GSI LastEvaluatedKey, base64url encoded
+const encodeCursor = (key) => (key ? Buffer.from(JSON.stringify(key)).toString('base64url') : null);
+
+const decodeCursor = (cursor) => {
+  const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (!key || typeof key !== 'object' || Array.isArray(key)) {
+    throw new Error('Invalid cursor');
+  }
+  return key;
+};
+
+// Band owners (and members who can manage members) may search users to invite them
+const canInviteMembers = (memberships) => memberships.some(membership =>
+  membership.role === 'owner' || (membership.permissions || []).includes('manage_members'));
+
+// Admins get full records, everyone else only the fields shown on a public profile
+const formatListedUser = (dbUser, isAdmin) => {
+  if (isAdmin) {
+    return {
+      id: dbUser.user_id,
+      cognitoId: dbUser.cognito_id,
+      email: dbUser.email,
+      username: dbUser.username,
+      handle: dbUser.handle || null,
+      displayName: dbUser.display_name,
+      avatarUrl: dbUser.avatar_url || null,
+      profileCompleted: dbUser.profile_complete,
+      role: dbUser.platform_role || 'user',
+      deletionScheduledFor: dbUser.deletion_scheduled_for || null,
+      createdAt: dbUser.created_at
+    };
+  }
+
+  return {
+    cognitoId: dbUser.cognito_id,
+    handle: dbUser.handle || null,
+    displayName: dbUser.display_name || dbUser.username,
+    avatarUrl: dbUser.avatar_url || null,
+    instrument: dbUser.instrument || null
+  };
+};
+
+// List users (admins) or search users to invite (band owners).
+// Query params: limit, cursor, order=asc|desc, q, profileCompleted, role
+// Without q users come in signup order (newest first by default). q is a name prefix matched
+// against name_lower (A-Z by default); admins can also look a user up by exact email.
+const handleListUsers = async (event) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+  const params = event.queryStringParameters || {};
+
+  try {
+    const isAdmin = hasRole(user, 'admin');
+    const search = (params.q || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+    if (!isAdmin) {
+      const memberships = await getUserMemberships(user.userId);
+
+      if (!canInviteMembers(memberships)) {
+        return createResponse(403, { error: 'Forbidden' });
+      }
+
+      // Non-admins can only search, never browse the whole user base
+      if (search.length < MIN_SEARCH_LENGTH) {
+        return createResponse(400, { error: `Search query (q) of at least ${MIN_SEARCH_LENGTH} characters is required` });
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    if (params.order && !['asc', 'desc'].includes(params.order)) {
+      return createResponse(400, { error: 'order must be asc or desc' });
+    }
+
+    if (params.profileCompleted && !['true', 'false'].includes(params.profileCompleted)) {
+      return createResponse(400, { error: 'profileCompleted must be true or false' });
+    }
+
+    if (params.role && !isValidPlatformRole(params.role)) {
+      return createResponse(400, { error: 'Invalid role', validRoles: PLATFORM_ROLES });
+    }
+
+    let exclusiveStartKey;
+    if (params.cursor) {
+      try {
+        exclusiveStartKey = decodeCursor(params.cursor);
+      } catch (error) {
+        return createResponse(400, { error: 'Invalid cursor' });
+      }
+    }
+
+    // Pick the index - the search itself is always a key condition, never a filter
+    let keyQuery;
+    if (isAdmin && search.includes('@')) {
+      keyQuery = {
+        IndexName: USERS_BY_EMAIL_INDEX,
+        KeyConditionExpression: 'email_lower = :q',
+        ExpressionAttributeValues: { ':q': search }
+      };
+    } else if (search) {
+      keyQuery = {
+        IndexName: USERS_BY_NAME_INDEX,
+        KeyConditionExpression: 'record_type = :recordType AND begins_with(name_lower, :q)',
+        ExpressionAttributeValues: { ':recordType': USER_RECORD_TYPE, ':q': search },
+        ScanIndexForward: params.order !== 'desc'
+      };
+    } else {
+      keyQuery = {
+        IndexName: USERS_BY_CREATED_INDEX,
+        KeyConditionExpression: 'record_type = :recordType',
+        ExpressionAttributeValues: { ':recordType': USER_RECORD_TYPE },
+        ScanIndexForward: params.order === 'asc'
+      };
+    }
+
+    // Build the filter
+    const filters = [];
+    const expressionAttributeValues = { ...keyQuery.ExpressionAttributeValues };
+
+    if (params.profileCompleted === 'true') {
+      filters.push('profile_complete = :true');
+      expressionAttributeValues[':true'] = true;
+    } else if (params.profileCompleted === 'false') {
+      filters.push('(attribute_not_exists(profile_complete) OR profile_complete = :false)');
+      expressionAttributeValues[':false'] = false;
+    }
+
+    if (params.role === 'user') {
+      filters.push('(attribute_not_exists(platform_role) OR platform_role = :role)');
+      expressionAttributeValues[':role'] = params.role;
+    } else if (params.role) {
+      filters.push('platform_role = :role');
+      expressionAttributeValues[':role'] = params.role;
+    }
+
+    if (!isAdmin) {
+      // Hidden and departing accounts never show up in invite search
+      filters.push('attribute_not_exists(deletion_scheduled_for)');
+      filters.push('(attribute_not_exists(profile_visibility) OR profile_visibility <> :private)');
+      expressionAttributeValues[':private'] = 'private';
+    }
+
+    console.log(' USERS: List users request', {
+      isAdmin,
+      limit,
+      hasCursor: !!exclusiveStartKey,
+      index: keyQuery.IndexName,
+      filters: filters.length
+    });
+
+    // Limit applies before the remaining filters (role, profile state, visibility), so keep
+    // querying until the page is full. Asking for only the remaining count keeps
+    // LastEvaluatedKey an exact resume point. A short page can still have a nextCursor.
+    const items = [];
+    let pages = 0;
+
+    do {
+      const result = await dynamodb.query({
+        TableName: USERS_TABLE,
+        ...keyQuery,
+        ...(filters.length > 0 && { FilterExpression: filters.join(' AND ') }),
+        ExpressionAttributeValues: expressionAttributeValues,
+        Limit: limit - items.length,
+        ExclusiveStartKey: exclusiveStartKey
+      }).promise();
+
+      items.push(...result.Items);
+      exclusiveStartKey = result.LastEvaluatedKey;
+      pages++;
+    } while (exclusiveStartKey && items.length < limit && pages < MAX_PAGES_PER_REQUEST);
+
+    const users = items.map(dbUser => formatListedUser(dbUser, isAdmin));
+
+    console.log(` USERS: Retrieved ${users.length} users`, { pages, hasMore: !!exclusiveStartKey });
+
+    return createResponse(200, {
+      users,
+      count: users.length,
+      nextCursor: encodeCursor(exclusiveStartKey)
+    });
 
   } catch (error) {
     console.error(' USERS: List users error:', error);
@@ -250,6 +592,871 @@ const handleListUsers = async (event) => {
   }
 };
 
+// Grant or revoke a platform role (admin only) - the role change and its audit entry commit together
+const handleUpdateUserRole = async (event, targetUserId) => {
+  const authResult = requireRole(event, 'admin');
+
+  if (authResult.error) {
+    return createResponse(authResult.statusCode, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    const { role, reason = null } = JSON.parse(event.body || '{}');
+
+    if (!isValidPlatformRole(role)) {
+      return createResponse(400, { error: 'Invalid role', validRoles: PLATFORM_ROLES });
+    }
+
+    // Prevent admins locking themselves (and possibly everyone) out
+    if (targetUserId === user.userId) {
+      return createResponse(400, { error: 'You cannot change your own role' });
+    }
+
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: targetUserId }
+    }).promise();
+
+    if (!userResult.Item) {
+      return createResponse(404, { error: 'User not found' });
+    }
+
+    const previousRole = userResult.Item.platform_role || 'user';
+
+    if (previousRole === role) {
+      return createResponse(200, { userId: targetUserId, role, message: 'Role unchanged' });
+    }
+
+    console.log(' USERS: Changing platform role', {
+      targetUserId: targetUserId.substring(0, 8) + '...',
+      previousRole,
+      role
+    });
+
+    const now = new Date().toISOString();
+
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Update: {
+            TableName: USERS_TABLE,
+            Key: { cognito_id: targetUserId },
+            UpdateExpression: 'SET platform_role = :role, updated_at = :updatedAt',
+            // Guard against a concurrent change between our read and write
+            ConditionExpression: previousRole === 'user'
+              ? 'attribute_not_exists(platform_role) OR platform_role = :previousRole'
+              : 'platform_role = :previousRole',
+            ExpressionAttributeValues: {
+              ':role': role,
+              ':previousRole': previousRole,
+              ':updatedAt': now
+            }
+          }
+        },
+        buildAuditTransactItem({
+          action: roleRank(role) > roleRank(previousRole) ? 'platform_role.granted' : 'platform_role.revoked',
+          actorUserId: user.userId,
+          targetType: 'user',
+          targetId: targetUserId,
+          before: { role: previousRole },
+          after: { role },
+          reason
+        })
+      ]
+    }).promise();
+
+    console.log(' USERS: Platform role changed');
+
+    return createResponse(200, {
+      userId: targetUserId,
+      role,
+      previousRole,
+      message: 'Role updated successfully - takes effect on the user\'s next session refresh'
+    });
+
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      return createResponse(409, { error: 'Role was changed concurrently, please retry' });
+    }
+    console.error(' USERS: Update role error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Check whether a handle is valid and free - GET /users/handles/{handle}
+const handleCheckHandle = async (event, rawHandle) => {
+  try {
+    const handle = normaliseHandle(rawHandle);
+    const validationError = validateHandle(handle);
+
+    if (validationError) {
+      return createResponse(200, { handle, valid: false, available: false, error: validationError });
+    }
+
+    const result = await dynamodb.get({
+      TableName: HANDLES_TABLE,
+      Key: { handle }
+    }).promise();
+
+    return createResponse(200, { handle, valid: true, available: !result.Item });
+
+  } catch (error) {
+    console.error(' USERS: Check handle error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Claim or change the caller's handle - the new handle, the user record and the release
+// of the old handle commit in one transaction so two users can never hold the same handle
+const handleClaimHandle = async (event) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    const { handle: rawHandle } = JSON.parse(event.body || '{}');
+    const handle = normaliseHandle(rawHandle);
+    const validationError = validateHandle(handle);
+
+    if (validationError) {
+      return createResponse(400, { error: validationError });
+    }
+
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: user.userId }
+    }).promise();
+
+    if (!userResult.Item) {
+      return createResponse(404, { error: 'User not found' });
+    }
+
+    const previousHandle = userResult.Item.handle || null;
+
+    if (previousHandle === handle) {
+      return createResponse(200, { handle, message: 'Handle unchanged' });
+    }
+
+    console.log(' USERS: Claiming handle', { handle, hadHandle: !!previousHandle });
+
+    const now = new Date().toISOString();
+
+    const transactItems = [
+      {
+        Put: {
+          TableName: HANDLES_TABLE,
+          Item: {
+            handle,
+            user_cognito_id: user.userId,
+            claimed_at: now
+          },
+          ConditionExpression: 'attribute_not_exists(handle)'
+        }
+      },
+      {
+        Update: {
+          TableName: USERS_TABLE,
+          Key: { cognito_id: user.userId },
+          UpdateExpression: 'SET handle = :handle, updated_at = :now',
+          ConditionExpression: previousHandle ? 'handle = :previousHandle' : 'attribute_not_exists(handle)',
+          ExpressionAttributeValues: {
+            ':handle': handle,
+            ':now': now,
+            ...(previousHandle && { ':previousHandle': previousHandle })
+          }
+        }
+      }
+    ];
+
+    if (previousHandle) {
+      transactItems.push({
+        Delete: {
+          TableName: HANDLES_TABLE,
+          Key: { handle: previousHandle },
+          ConditionExpression: 'user_cognito_id = :userId',
+          ExpressionAttributeValues: { ':userId': user.userId }
+        }
+      });
+    }
+
+    try {
+      await dynamodb.transactWrite({ TransactItems: transactItems }).promise();
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        // First cancellation reason is the handle reservation itself
+        const handleTaken = (error.message || '').includes('[ConditionalCheckFailed');
+        return createResponse(409, {
+          error: handleTaken ? 'Handle is already taken' : 'Handle was changed concurrently, please retry'
+        });
+      }
+      throw error;
+    }
+
+    console.log(' USERS: Handle claimed');
+
+    return createResponse(200, { handle, previousHandle, message: 'Handle updated successfully' });
+
+  } catch (error) {
+    console.error(' USERS: Claim handle error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Public profile - GET /users/{handle}. Authentication is optional and only
+// matters for profiles restricted to signed-in users.
+const handleGetPublicProfile = async (event, rawHandle) => {
+  try {
+    const handle = normaliseHandle(rawHandle);
+    const notFound = createResponse(404, { error: 'User not found' });
+
+    if (!HANDLE_PATTERN.test(handle)) {
+      return notFound;
+    }
+
+    const handleResult = await dynamodb.get({
+      TableName: HANDLES_TABLE,
+      Key: { handle }
+    }).promise();
+
+    if (!handleResult.Item) {
+      return notFound;
+    }
+
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: handleResult.Item.user_cognito_id }
+    }).promise();
+
+    const dbUser = userResult.Item;
+
+    // Accounts pending deletion disappear immediately
+    if (!dbUser || dbUser.deletion_scheduled_for) {
+      return notFound;
+    }
+
+    const viewer = requireAuth(event).user || null;
+    const isSelf = viewer?.userId === dbUser.cognito_id;
+    const visibility = dbUser.profile_visibility || DEFAULT_PROFILE_VISIBILITY;
+
+    // Hidden profiles 404 rather than 403 so their existence isn't revealed
+    if (!isSelf && (visibility === 'private' || (visibility === 'members' && !viewer))) {
+      return notFound;
+    }
+
+    const memberships = await getUserMemberships(dbUser.cognito_id);
+    const artists = memberships.length > 0
+      ? await getArtistsByIds(memberships.map(m => m.artist_id))
+      : new Map();
+
+    const profileData = {
+      handle: dbUser.handle,
+      displayName: dbUser.display_name || dbUser.username,
+      avatarUrl: dbUser.avatar_url || null,
+      instrument: dbUser.instrument || null,
+      hometown: dbUser.hometown || null,
+      memberSince: dbUser.created_at,
+      artists: memberships
+        .filter(membership => artists.has(membership.artist_id))
+        .map(membership => {
+          const artist = artists.get(membership.artist_id);
+          return {
+            id: artist.id,
+            name: artist.name,
+            artistType: artist.artist_type || 'band',
+            profileImageUrl: artist.profileImageUrl || null,
+            instrument: membership.instrument || dbUser.instrument || null
+          };
+        })
+    };
+
+    return createResponse(200, { user: profileData });
+
+  } catch (error) {
+    console.error(' USERS: Get public profile error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Page through a DynamoDB query/scan and return every item
+const collectAll = async (operation, params) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb[operation]({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+    items.push(...result.Items);
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+const getUserSessions = (userId) => collectAll('query', {
+  TableName: SESSIONS_TABLE,
+  IndexName: 'user_id-index',
+  KeyConditionExpression: 'user_id = :userId',
+  ExpressionAttributeValues: { ':userId': userId }
+});
+
+// Every membership of an artist, archived ones included (guards have no artist_id)
+const getArtistMembershipRecords = (artistId) => collectAll('query', {
+  TableName: MEMBERSHIPS_TABLE,
+  IndexName: 'artist_id-index',
+  KeyConditionExpression: 'artist_id = :artistId',
+  ExpressionAttributeValues: { ':artistId': artistId }
+});
+
+// Artists the user is the only owner of while other people are still members - deleting the
+// account would leave those members without an owner
+const getSoleOwnedArtistIds = async (userId) => {
+  const ownerships = (await getUserMemberships(userId)).filter(m => m.role === 'owner');
+  const artistIds = [];
+
+  for (const ownership of ownerships) {
+    const others = (await getArtistMembershipRecords(ownership.artist_id))
+      .filter(m => isCountedMembership(m) && m.membership_id !== ownership.membership_id);
+
+    if (others.length > 0 && !others.some(m => m.role === 'owner')) {
+      artistIds.push(ownership.artist_id);
+    }
+  }
+
+  return artistIds;
+};
+
+const getUserNotifications = (userId) => collectAll('query', {
+  TableName: NOTIFICATIONS_TABLE,
+  KeyConditionExpression: 'user_id = :userId',
+  ExpressionAttributeValues: { ':userId': userId }
+});
+
+const getReportedIssues = (userId) => collectAll('scan', {
+  TableName: ISSUES_TABLE,
+  FilterExpression: 'reported_by = :userId',
+  ExpressionAttributeValues: { ':userId': userId }
+});
+
+// Uploads are keyed `${uploadType}/${userId}/...` (see uploads-lambda), so list every
+// top-level upload type and then the caller's folder inside each one
+const listUserUploads = async (userId) => {
+  const prefixes = [];
+  let continuationToken;
+
+  do {
+    const result = await s3.listObjectsV2({
+      Bucket: IMAGES_BUCKET,
+      Delimiter: '/',
+      ContinuationToken: continuationToken
+    }).promise();
+
+    prefixes.push(...(result.CommonPrefixes || []).map(p => p.Prefix));
+    continuationToken = result.NextContinuationToken;
+  } while (continuationToken);
+
+  const objects = [];
+
+  for (const prefix of prefixes) {
+    continuationToken = undefined;
+
+    do {
+      const result = await s3.listObjectsV2({
+        Bucket: IMAGES_BUCKET,
+        Prefix: `${prefix}${userId}/`,
+        ContinuationToken: continuationToken
+      }).promise();
+
+      objects.push(...(result.Contents || []));
+      continuationToken = result.NextContinuationToken;
+    } while (continuationToken);
+  }
+
+  return objects;
+};
+
+// Revoke every live session so the account is signed out everywhere
+const revokeUserSessions = async (userId) => {
+  const sessions = await getUserSessions(userId);
+  const now = new Date().toISOString();
+  let revoked = 0;
+
+  for (const session of sessions) {
+    if (session.revoked_at) continue;
+
+    await dynamodb.update({
+      TableName: SESSIONS_TABLE,
+      Key: { session_id: session.session_id },
+      UpdateExpression: 'SET revoked_at = :revokedAt REMOVE cognito_refresh_token',
+      ExpressionAttributeValues: { ':revokedAt': now }
+    }).promise();
+    revoked++;
+  }
+
+  return revoked;
+};
+
+// GDPR data export - everything stored about the caller as one JSON document
+const handleExportData = async (event) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    console.log(' USERS: Data export request');
+
+    const userResult = await dynamodb.get({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: user.userId }
+    }).promise();
+
+    if (!userResult.Item) {
+      return createResponse(404, { error: 'User not found' });
+    }
+
+    const [memberships, issuesReported, uploads, sessions, notifications] = await Promise.all([
+      getUserMemberships(user.userId, { status: null }),
+      getReportedIssues(user.userId),
+      listUserUploads(user.userId),
+      getUserSessions(user.userId),
+      getUserNotifications(user.userId)
+    ]);
+
+    const exportedAt = new Date().toISOString();
+
+    const archive = {
+      exportedAt,
+      profile: userResult.Item,
+      memberships,
+      issuesReported,
+      uploads: uploads.map(object => ({
+        key: object.Key,
+        url: `${IMAGES_BASE_URL}${object.Key}`,
+        size: object.Size,
+        lastModified: object.LastModified
+      })),
+      // Session metadata only - token hashes are never exported
+      sessions: sessions.map(session => ({
+        id: session.session_id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        revokedAt: session.revoked_at || null
+      })),
+      notifications
+    };
+
+    console.log(' USERS: Data export generated', {
+      memberships: memberships.length,
+      issuesReported: issuesReported.length,
+      uploads: uploads.length,
+      sessions: sessions.length,
+      notifications: notifications.length
+    });
+
+    const response = createResponse(200, archive);
+    response.headers['Content-Disposition'] = `attachment; filename="bndy-export-${exportedAt.substring(0, 10)}.json"`;
+    return response;
+
+  } catch (error) {
+    console.error(' USERS: Data export error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Request account deletion - signs the user out everywhere and schedules the hard delete
+const handleDeleteAccount = async (event) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    console.log(' USERS: Account deletion request');
+
+    const soleOwnedArtistIds = await getSoleOwnedArtistIds(user.userId);
+    if (soleOwnedArtistIds.length > 0) {
+      const artists = await getArtistsByIds(soleOwnedArtistIds);
+      return createResponse(409, {
+        error: 'You are the only owner of an artist with other members - transfer ownership or delete the artist first',
+        artists: [...artists.values()].map(artist => ({ id: artist.id, name: artist.name }))
+      });
+    }
+
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + DELETION_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    let updatedUser;
+    try {
+      const updateResult = await dynamodb.update({
+        TableName: USERS_TABLE,
+        Key: { cognito_id: user.userId },
+        // Keep the original schedule if deletion was already requested
+        UpdateExpression: 'SET deletion_requested_at = if_not_exists(deletion_requested_at, :now), ' +
+          'deletion_scheduled_for = if_not_exists(deletion_scheduled_for, :scheduledFor), updated_at = :now',
+        ConditionExpression: 'attribute_exists(cognito_id)',
+        ExpressionAttributeValues: {
+          ':now': now.toISOString(),
+          ':scheduledFor': scheduledFor
+        },
+        ReturnValues: 'ALL_NEW'
+      }).promise();
+      updatedUser = updateResult.Attributes;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return createResponse(404, { error: 'User not found' });
+      }
+      throw error;
+    }
+
+    const revokedSessions = await revokeUserSessions(user.userId);
+
+    await writeAuditEntry({
+      action: 'user.deletion_requested',
+      actorUserId: user.userId,
+      targetType: 'user',
+      targetId: user.userId,
+      after: { deletionScheduledFor: updatedUser.deletion_scheduled_for }
+    });
+
+    console.log(' USERS: Account deletion scheduled', {
+      deletionScheduledFor: updatedUser.deletion_scheduled_for,
+      revokedSessions
+    });
+
+    return createResponse(202, {
+      deletionRequestedAt: updatedUser.deletion_requested_at,
+      deletionScheduledFor: updatedUser.deletion_scheduled_for,
+      message: `Your account will be permanently deleted on ${updatedUser.deletion_scheduled_for.substring(0, 10)}. Sign in and restore it before then to cancel.`
+    });
+
+  } catch (error) {
+    console.error(' USERS: Account deletion error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Cancel a pending account deletion during the grace period
+const handleRestoreAccount = async (event) => {
+  const authResult = requireAuth(event);
+
+  if (authResult.error) {
+    return createResponse(401, { error: authResult.error });
+  }
+
+  const { user } = authResult;
+
+  try {
+    console.log(' USERS: Account restore request');
+
+    await dynamodb.update({
+      TableName: USERS_TABLE,
+      Key: { cognito_id: user.userId },
+      UpdateExpression: 'REMOVE deletion_requested_at, deletion_scheduled_for SET updated_at = :now',
+      ConditionExpression: 'attribute_exists(deletion_scheduled_for)',
+      ExpressionAttributeValues: { ':now': new Date().toISOString() }
+    }).promise();
+
+    await writeAuditEntry({
+      action: 'user.deletion_cancelled',
+      actorUserId: user.userId,
+      targetType: 'user',
+      targetId: user.userId
+    });
+
+    console.log(' USERS: Account restored');
+
+    return createResponse(200, { message: 'Account deletion cancelled' });
+
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return createResponse(409, { error: 'Account is not scheduled for deletion' });
+    }
+    console.error(' USERS: Account restore error:', error);
+    return createResponse(500, { error: 'Internal server error' });
+  }
+};
+
+// Purge helper: remove an owner's membership (or the artist's owner_user_id) without leaving the
+// artist ownerless. owner_user_id passes to another owner; with none left the longest-standing
+// member is made owner; an artist with no other members is left unowned, so it can be claimed again.
+const purgeOwnership = async (membership, artist, userId) => {
+  const isOwner = isCountedOwner(membership);
+  const others = (await getArtistMembershipRecords(artist.id))
+    .filter(m => isCountedMembership(m) && m.membership_id !== membership.membership_id)
+    .sort((a, b) => (a.joined_at || a.created_at || '').localeCompare(b.joined_at || b.created_at || ''));
+
+  const nextOwner = others.find(m => m.role === 'owner') || (isOwner && others[0]) || null;
+  const promoted = nextOwner && nextOwner.role !== 'owner' ? nextOwner : null;
+  const handsOn = artist.owner_user_id === userId || !!promoted;
+  const now = new Date().toISOString();
+
+  if (isOwner) {
+    await ensureOwnerCount(artist.id);
+  }
+
+  const memberDelta = isCountedMembership(membership) ? -1 : 0;
+  const ownerDelta = (isOwner ? -1 : 0) + (promoted ? 1 : 0);
+  const addParts = [
+    ...(memberDelta ? ['member_count :members'] : []),
+    ...(ownerDelta ? ['owner_count :owners'] : [])
+  ];
+  const setParts = ['updated_at = :now'];
+  const removeParts = [];
+
+  // claimedByUserId is deprecated but still read by older clients
+  if (handsOn && nextOwner) {
+    setParts.push('owner_user_id = :ownerUserId');
+    if (artist.claimedByUserId === userId) setParts.push('claimedByUserId = :ownerUserId');
+  } else if (handsOn) {
+    removeParts.push('owner_user_id');
+    if (artist.claimedByUserId === userId) removeParts.push('claimedByUserId');
+  }
+
+  const promotedPermissions = [...ARTIST_PERMISSIONS];
+
+  await dynamodb.transactWrite({
+    TransactItems: [
+      ...buildMembershipDeleteItems(membership, { adjustCount: false }),
+      ...(promoted ? [{
+        Update: {
+          TableName: MEMBERSHIPS_TABLE,
+          Key: { membership_id: promoted.membership_id },
+          UpdateExpression: 'SET #role = :owner, permissions = :permissions, updated_at = :now',
+          ConditionExpression: '#role = :role AND #status = :status',
+          ExpressionAttributeNames: { '#role': 'role', '#status': 'status' },
+          ExpressionAttributeValues: {
+            ':owner': 'owner',
+            ':permissions': promotedPermissions,
+            ':role': promoted.role,
+            ':status': promoted.status,
+            ':now': now
+          }
+        }
+      }] : []),
+      {
+        Update: {
+          TableName: ARTISTS_TABLE,
+          Key: { id: artist.id },
+          UpdateExpression: [
+            ...(addParts.length > 0 ? ['ADD ' + addParts.join(', ')] : []),
+            'SET ' + setParts.join(', '),
+            ...(removeParts.length > 0 ? ['REMOVE ' + removeParts.join(', ')] : [])
+          ].join(' '),
+          ConditionExpression: 'attribute_exists(id)',
+          ExpressionAttributeValues: {
+            ':now': now,
+            ...(memberDelta && { ':members': memberDelta }),
+            ...(ownerDelta && { ':owners': ownerDelta }),
+            ...(handsOn && nextOwner && { ':ownerUserId': nextOwner.user_id })
+          }
+        }
+      },
+      buildMembershipEventItem({
+        type: 'removed',
+        membership,
+        actorUserId: null,
+        before: { role: membership.role, permissions: membership.permissions || [] },
+        details: { reason: 'account_deleted' }
+      }),
+      ...(promoted
+        ? buildMembershipChangeEvents(promoted, { role: 'owner', permissions: promotedPermissions }, null)
+          .map(historyEvent => buildMembershipEventItem({
+            ...historyEvent,
+            details: { ...historyEvent.details, reason: 'owner_account_deleted' }
+          }))
+        : [])
+    ]
+  }).promise();
+
+  if (promoted) {
+    await notify({
+      userId: promoted.user_id,
+      type: 'artist.ownership_transferred',
+      actorUserId: null,
+      title: `You are now the owner of ${artist.name || 'an artist'}`,
+      body: `The owner of ${artist.name || 'this artist'} deleted their account, so ownership passed to you.`,
+      link: `/artists/${artist.id}`,
+      data: { artistId: artist.id, membershipId: promoted.membership_id }
+    });
+  }
+};
+
+// Hard-delete one user whose grace period has passed
+const purgeUser = async (dbUser) => {
+  const userId = dbUser.cognito_id;
+
+  // Memberships - each goes with its guard and (if active) the artist's member_count.
+  // Memberships of artists that no longer exist have no count to adjust; ownership is handed
+  // on so no artist is left pointing at the deleted user.
+  const memberships = await getUserMemberships(userId, { status: null });
+  const artists = await getArtistsByIds(memberships.map(m => m.artist_id), {
+    projection: 'id, #name, owner_user_id, claimedByUserId'
+  });
+
+  for (const membership of memberships) {
+    const artist = artists.get(membership.artist_id);
+
+    if (artist && (isCountedOwner(membership) || artist.owner_user_id === userId)) {
+      await purgeOwnership(membership, artist, userId);
+      continue;
+    }
+
+    await dynamodb.transactWrite({
+      TransactItems: [
+        ...buildMembershipDeleteItems(membership, { adjustCount: !!artist }),
+        buildMembershipEventItem({
+          type: membership.status === 'pending' ? 'invitation_cancelled' : 'removed',
+          membership,
+          actorUserId: null,
+          before: { role: membership.role, permissions: membership.permissions || [] },
+          details: { reason: 'account_deleted' }
+        })
+      ]
+    }).promise();
+  }
+
+  // Uploaded images (avatars etc.)
+  const uploads = await listUserUploads(userId);
+
+  for (let i = 0; i < uploads.length; i += 1000) {
+    await s3.deleteObjects({
+      Bucket: IMAGES_BUCKET,
+      Delete: {
+        Objects: uploads.slice(i, i + 1000).map(object => ({ Key: object.Key })),
+        Quiet: true
+      }
+    }).promise();
+  }
+
+  // Issues stay for the team but are no longer attributable
+  const issues = await getReportedIssues(userId);
+
+  for (const issue of issues) {
+    await dynamodb.update({
+      TableName: ISSUES_TABLE,
+      Key: { issue_id: issue.issue_id },
+      UpdateExpression: 'SET reported_by = :deletedUser',
+      ExpressionAttributeValues: { ':deletedUser': DELETED_USER_ID }
+    }).promise();
+  }
+
+  // Sessions
+  const sessions = await getUserSessions(userId);
+
+  for (const session of sessions) {
+    await dynamodb.delete({
+      TableName: SESSIONS_TABLE,
+      Key: { session_id: session.session_id }
+    }).promise();
+  }
+
+  // Notifications
+  const notifications = await getUserNotifications(userId);
+
+  for (const notification of notifications) {
+    await dynamodb.delete({
+      TableName: NOTIFICATIONS_TABLE,
+      Key: { user_id: userId, notification_id: notification.notification_id }
+    }).promise();
+  }
+
+  // Release the handle so it can be claimed again
+  if (dbUser.handle) {
+    await dynamodb.delete({
+      TableName: HANDLES_TABLE,
+      Key: { handle: dbUser.handle }
+    }).promise();
+  }
+
+  // Login identities - mapping rows and the Cognito users behind them
+  const identities = dbUser.identities || [];
+
+  for (const identity of identities) {
+    await dynamodb.delete({
+      TableName: IDENTITIES_TABLE,
+      Key: { identity_id: identity.identity_id }
+    }).promise();
+
+    if (identity.cognito_username) {
+      try {
+        await cognito.adminDeleteUser({
+          UserPoolId: USER_POOL_ID,
+          Username: identity.cognito_username
+        }).promise();
+      } catch (error) {
+        if (error.code !== 'UserNotFoundException') throw error;
+      }
+    }
+  }
+
+  await dynamodb.delete({
+    TableName: USERS_TABLE,
+    Key: { cognito_id: userId },
+    // Skip if the user restored their account while we were purging
+    ConditionExpression: 'attribute_exists(deletion_scheduled_for)'
+  }).promise();
+
+  await writeAuditEntry({
+    action: 'user.purged',
+    actorUserId: 'system',
+    targetType: 'user',
+    targetId: userId,
+    before: {
+      memberships: memberships.length,
+      uploads: uploads.length,
+      issuesAnonymised: issues.length,
+      identities: identities.length
+    }
+  });
+};
+
+// Scheduled job (UsersPurgeFunction) - hard-deletes accounts whose grace period has passed
+exports.purgeDeletedUsers = async () => {
+  const now = new Date().toISOString();
+
+  const dueUsers = await collectAll('scan', {
+    TableName: USERS_TABLE,
+    FilterExpression: 'deletion_scheduled_for <= :now',
+    ExpressionAttributeValues: { ':now': now }
+  });
+
+  console.log(` USERS: Purging ${dueUsers.length} deleted accounts`);
+
+  let purged = 0;
+  let failed = 0;
+
+  for (const dbUser of dueUsers) {
+    try {
+      await purgeUser(dbUser);
+      purged++;
+    } catch (error) {
+      // Leave the record in place so the next run retries it
+      failed++;
+      console.error(' USERS: Purge failed', {
+        userId: dbUser.cognito_id.substring(0, 8) + '...',
+        error: error.message
+      });
+    }
+  }
+
+  console.log(' USERS: Purge complete', { purged, failed });
+
+  return { purged, failed };
+};
+
 // Main handler
 exports.handler = async (event, context) => {
   // HTTP API v2 payload format compatibility
@@ -283,10 +1490,44 @@ exports.handler = async (event, context) => {
       return await handleUpdateProfile(event);
     }
 
+    if (routeKey === 'PATCH /users/profile') {
+      return await handlePatchProfile(event);
+    }
+
     if (routeKey === 'GET /users') {
       return await handleListUsers(event);
     }
 
+    if (routeKey === 'GET /users/me/export') {
+      return await handleExportData(event);
+    }
+
+    if (routeKey === 'DELETE /users/me') {
+      return await handleDeleteAccount(event);
+    }
+
+    if (routeKey === 'POST /users/me/restore') {
+      return await handleRestoreAccount(event);
+    }
+
+    if (routeKey === 'PUT /users/me/handle') {
+      return await handleClaimHandle(event);
+    }
+
+    if (method === 'PUT' && /^\/users\/[^/]+\/role$/.test(path)) {
+      const targetUserId = event.pathParameters?.userId || decodeURIComponent(path.split('/')[2]);
+      return await handleUpdateUserRole(event, targetUserId);
+    }
+
+    if (method === 'GET' && /^\/users\/handles\/[^/]+$/.test(path)) {
+      return await handleCheckHandle(event, event.pathParameters?.handle || decodeURIComponent(path.split('/')[3]));
+    }
+
+    // Must stay after the static /users/* routes - 'profile' and 'me' are reserved handles
+    if (method === 'GET' && /^\/users\/[^/]+$/.test(path)) {
+      return await handleGetPublicProfile(event, decodeURIComponent(path.split('/')[2]));
+    }
+
     // Route not found
     return createResponse(404, {
       error: 'Route not found',
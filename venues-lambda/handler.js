@@ -2,12 +2,18 @@
 // Handles: /api/venues, /api/venues/:id
 
 const AWS = require('aws-sdk');
+const { requireRole } = require('bndy-shared');
+
 const dynamodb = new AWS.DynamoDB.DocumentClient({ region: 'eu-west-2' });
 
 exports.handler = async (event, context) => {
+  // HTTP API v2 payload format compatibility
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  const path = event.requestContext?.http?.path || event.rawPath || event.path;
+
   console.log('🎯 Venues Lambda: Request received', {
-    httpMethod: event.httpMethod,
-    path: event.path,
+    method,
+    path,
     pathParameters: event.pathParameters
   });
   console.log('🚀 DynamoDB version - FAST AS FUCK');
@@ -16,24 +22,24 @@ exports.handler = async (event, context) => {
 
   try {
     // Route requests
-    if (event.httpMethod === 'GET' && event.path === '/api/venues') {
+    if (method === 'GET' && path === '/api/venues') {
       return await handleGetAllVenues();
     }
 
-    if (event.httpMethod === 'GET' && event.pathParameters?.id) {
+    if (method === 'GET' && event.pathParameters?.id) {
       return await handleGetVenueById(event.pathParameters.id);
     }
 
-    if (event.httpMethod === 'POST' && event.path === '/api/venues') {
+    if (method === 'POST' && path === '/api/venues') {
       return await handleCreateVenue(JSON.parse(event.body));
     }
 
-    if (event.httpMethod === 'PUT' && event.pathParameters?.id) {
+    if (method === 'PUT' && event.pathParameters?.id) {
       return await handleUpdateVenue(event.pathParameters.id, JSON.parse(event.body));
     }
 
-    if (event.httpMethod === 'DELETE' && event.pathParameters?.id) {
-      return await handleDeleteVenue(event.pathParameters.id);
+    if (method === 'DELETE' && event.pathParameters?.id) {
+      return await handleDeleteVenue(event, event.pathParameters.id);
     }
 
     return {
@@ -231,9 +237,19 @@ async function handleUpdateVenue(venueId, venueData) {
   }
 }
 
-async function handleDeleteVenue(venueId) {
+async function handleDeleteVenue(event, venueId) {
   console.log(`📍 Venues Lambda: Deleting venue: ${venueId}`);
 
+  // Deleting shared catalogue data is restricted to moderators and admins
+  const authResult = requireRole(event, 'moderator');
+  if (authResult.error) {
+    return {
+      statusCode: authResult.statusCode,
+      headers: getCorsHeaders(),
+      body: JSON.stringify({ error: authResult.error })
+    };
+  }
+
   const params = {
     TableName: 'bndy-venues',
     Key: { id: venueId }